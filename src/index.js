@@ -1,38 +1,87 @@
 import express from 'express';
 import bodyParser from 'body-parser';
-import axios from 'axios';
-import GogoCDN from './lib/gogocdn.js';
-import StreamWish from './lib/streamWish.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
-import winston from 'winston';
-import { setCache, getCache, delCache } from './utils/redis.js';
+import compression from 'compression';
+import logger from './utils/logger.js';
+import { pingRedis } from './utils/redis.js';
+import { proxyUrl } from './utils/proxy.js';
+import { collectSubtitles, toTracks } from './utils/subtitles.js';
+import { findRange } from './utils/sources.js';
+import { servers, describeServers } from './utils/providers.js';
+import { getHealthReport } from './utils/health.js';
+import { getEpisode } from './utils/resolver.js';
+import { LANGUAGES, episodeLanguage, getLanguageVariants, getSourcesByLanguage } from './utils/episodes.js';
+import { masterVariants } from './utils/playlist.js';
+import { ApiError, ErrorCodes, errorBody, sendError } from './utils/api.js';
+import { forEachLimit } from './utils/concurrency.js';
+import { startWarmup } from './utils/warmup.js';
+import { hasApiKey, requirePlaybackToken, signPlaybackToken } from './utils/playback.js';
+import { VIEWER_ID, WATCHED_THRESHOLD } from './utils/progress.js';
+import { EMBED_ALLOWLIST, requireAllowedEmbedder, securityHeaders } from './utils/security.js';
+import proxyRouter from './routes/proxy.js';
+import subtitlesRouter from './routes/subtitles.js';
+import masterRouter from './routes/master.js';
+import progressRouter from './routes/progress.js';
+import episodesRouter from './routes/episodes.js';
+import apiRouter, { API_BASE } from './routes/api.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, `req.ip` (used to bind playback tokens) must come
+// from X-Forwarded-For. Takes a hop count, `true`, or a trusted subnet list.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' || trust);
+}
+
 // Middleware setup
+app.use(securityHeaders());
+app.use(compression());
 app.use(cors(
   {
     origin: '*',
+    exposedHeaders: ['X-Served-By'],
   }
 ));
 app.use(bodyParser.json());
 app.use(morgan('dev'));
 
+// HLS proxy, mounted ahead of the rate limiter since a single playback
+// fetches hundreds of segments
+app.use('/proxy', requirePlaybackToken(), proxyRouter);
+
+// Watch progress, reported by the player every few seconds under its own limit
+app.use('/progress', progressRouter);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
   message: 'Too many requests from this IP, please try again after 15 minutes',
+  // Token signing has its own per-key limit
+  skip: req => req.path === `${API_BASE}/playback-tokens` && hasApiKey(req),
 });
 app.use(limiter);
 
+// WebVTT conversion for upstream subtitles
+app.use('/subtitles', requirePlaybackToken(), subtitlesRouter);
+
+// Synthesized adaptive master playlist for hls.js
+app.use('/master.m3u8', requirePlaybackToken({ episodeId: req => req.query.anime_id }), masterRouter);
+
+// Neighbouring episodes and next-episode prefetch for the player
+app.use('/episodes', episodesRouter);
+
+// Versioned JSON API
+app.use(API_BASE, apiRouter);
+
 // Serve robots.txt
 app.use('/robots.txt', (req, res) => {
   res.type('text/plain');
@@ -44,38 +93,130 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, './views'));
+// Serializes values for inline scripts without letting them close the tag
+app.locals.json = value => JSON.stringify(value).replace(/</g, '\\u003c');
+// The embed API's origin checks mirror the server's allowlist
+app.locals.embedOrigins = EMBED_ALLOWLIST;
+
+const isTrue = value => value === '1' || value === 'true';
+
+// Embed options from the player URL: `t` start time in seconds, `autoplay`
+// (on unless `0`/`false`), `muted`, `quality` as a height or `auto`, and
+// `viewer`, the id progress is saved under
+function parsePlayerOptions({ t, autoplay, muted, quality, viewer }) {
+  const startTime = Number(t);
+  return {
+    viewer: typeof viewer === 'string' && VIEWER_ID.test(viewer) ? viewer : null,
+    startTime: Number.isFinite(startTime) && startTime > 0 ? startTime : 0,
+    autoplay: autoplay === undefined || isTrue(autoplay),
+    muted: isTrue(muted),
+    quality: quality === 'auto' ? 0 : parseInt(quality, 10) || null,
+  };
+}
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  defaultMeta: { service: 'anime-streaming-api' },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple(),
-      ),
-    }),
-  ],
-});
+// Map normalized sources to the player's quality list. Backup mirrors are
+// attached to each quality instead of being listed, and an adaptive master
+// (quality 0, shown as "Auto") is only offered when there are no variants.
+function buildQualities(sources, token) {
+  const primary = sources.filter(source => !source.backup && !source.audioOnly);
+  const backup = sources.find(source => source.backup);
+
+  // One entry per height, keeping the highest bitrate rendition of each
+  const byHeight = new Map();
+  for (const source of primary.filter(source => source.quality)) {
+    const current = byHeight.get(source.quality);
+    if (!current || (source.bandwidth || 0) > (current.bandwidth || 0)) byHeight.set(source.quality, source);
+  }
+  const variants = [...byHeight.values()];
+  const pool = variants.length ? variants : primary.length ? primary : sources;
+
+  return pool
+    .sort((a, b) => (b.quality || 0) - (a.quality || 0) || (b.bandwidth || 0) - (a.bandwidth || 0))
+    .map(source => ({
+      quality: source.quality || 0,
+      bandwidth: source.bandwidth,
+      url: proxyUrl(source.url, source.headers, token),
+      backup: backup ? proxyUrl(backup.url, backup.headers, token) : null,
+    }));
+}
 
-// Define available servers
-const servers = {
-  gogocdn: new GogoCDN(),
-  streamwish: new StreamWish(),
-  // Add other servers here
-};
+// Map a resolved episode to everything the player view needs. With signed
+// playback on, every URL the player fetches carries the page's token. The
+// master playlist asks for the page's `server` and `fallback`, so it reads
+// the same cached resolution instead of extracting again.
+function buildPlayerData({ servedBy, sources }, { ep_id, server, fallback, token }) {
+  const qualities = buildQualities(sources, token);
+  return {
+    videoUrl: qualities[0].url,
+    // Adaptive stream over every variant, when the server returned any
+    masterUrl: masterVariants(sources).length
+      ? `/master.m3u8?${new URLSearchParams({ anime_id: ep_id, server, ...(fallback !== undefined && { fallback }), ...(token && { token }) })}`
+      : null,
+    qualities,
+    subtitles: toTracks(collectSubtitles(sources), token),
+    intro: findRange(sources, 'intro'),
+    outro: findRange(sources, 'outro'),
+    servedBy,
+  };
+}
 
-// Fallback handler for alternative server
-async function fallbackHandler(anime_id) {
-  const response = await axios.get(`${process.env.CONSUMET_API}/anime/gogoanime/watch/${anime_id}`);
-  return response.data;
+// Sub/dub versions for the player's toggle. With signed playback each one
+// gets its own token, bound like the page's and expiring with it.
+function buildLanguages(variants, ep_id, claims) {
+  return LANGUAGES.filter(language => variants[language]).map(language => {
+    const episodeId = variants[language];
+    const entry = { language, episodeId, current: episodeId === ep_id };
+    if (claims && !entry.current) {
+      const ttl = Math.max(1, claims.exp - Math.floor(Date.now() / 1000));
+      entry.token = signPlaybackToken(episodeId, { ip: claims.ip, ttl }).token;
+    }
+    return entry;
+  });
+}
+
+// Render the error page with a retry button and links to the other servers.
+// A rejected playback token gets neither, since retrying cannot fix it.
+function renderPlayerError(res, error, { anime_id, server, token } = {}) {
+  const denied = error.status === 401 || error.status === 403;
+  const alternatives = anime_id && !denied
+    ? describeServers()
+      .filter(entry => entry.id !== server)
+      .map(entry => ({
+        name: entry.name,
+        url: `/?${new URLSearchParams({ anime_id, server: entry.id, ...(token && { token }) })}`,
+      }))
+    : [];
+
+  res.status(error.status || 500).render('error', {
+    message: error.status ? error.message : 'Failed to get video URL',
+    code: error.code || ErrorCodes.INTERNAL_ERROR,
+    retry: !denied,
+    alternatives,
+    server: error.server || server,
+  });
 }
 
+// Signed playback: the page needs a token for the episode it shows
+const requirePageToken = requirePlaybackToken({
+  episodeId: req => req.query.anime_id,
+  onError: (res, error, req) => {
+    logger.warn('Rejected playback token', { anime_id: req.query.anime_id, code: error.code, ip: req.ip });
+    renderPlayerError(res, error);
+  },
+});
+
+// Only sites on the embed allowlist may open the player
+const requireEmbedder = requireAllowedEmbedder({
+  onBlocked: (res, error, req) => {
+    logger.warn('Blocked embed', { referer: req.get('Referer'), origin: req.get('Origin') });
+    renderPlayerError(res, error);
+  },
+});
+
 // Main route for serving anime streams
-app.get('/', async (req, res) => {
-  const { anime_id, server } = req.query;
+app.get('/', requireEmbedder, requirePageToken, async (req, res) => {
+  const { anime_id, server, fallback } = req.query;
+  const token = res.locals.playbackToken;
 
   if (!anime_id || !server) {
     logger.error('Missing required parameters', { anime_id, server });
@@ -84,115 +225,132 @@ app.get('/', async (req, res) => {
 
   if (!servers[server]) {
     logger.error('Invalid server', { server });
-    return res.status(400).render('error', { message: 'Invalid server' });
+    return renderPlayerError(res, new ApiError(400, ErrorCodes.UNKNOWN_SERVER, 'Invalid server'), { anime_id, server, token });
   }
 
   const ep_id = anime_id;
-  const cacheKey = `${server}-${ep_id}`;  // Ensure cacheKey is defined outside the try block
 
   try {
-    const cachedData = await getCache(cacheKey);
-
-    if (cachedData) {
-      const { videoUrl, qualities } = JSON.parse(cachedData);
-      logger.info('Serving video from cache', { videoUrl });
-      return res.render('index', { videoUrl, qualities });
-    }
-
-    const sources = await servers[server].getEpisodeSources(ep_id);
-    if (!sources || sources.length === 0) {
-      logger.warn('No sources available');
-      return res.status(404).render('error', { message: 'No sources available' });
-    }
-
-    const qualities = sources.map(source => ({
-      quality: source.quality,
-      url: `https://proxy.mail-hook.com/fetch?url=${source.url}`
-    }));
-
-    const backupIndex = qualities.findIndex(q => q.quality === 'backup' || q.quality === 'default');
-    if (backupIndex > -1) qualities.splice(backupIndex, 1);
-
-    const videoUrl = qualities[0].url;
-    logger.info('Streaming video', { videoUrl, server, anime_id });
-
-    const cacheData = JSON.stringify({ videoUrl, qualities });
-    await setCache(cacheKey, cacheData);
-    res.render('index', { videoUrl, qualities });
-
+    const [resolution, variants] = await Promise.all([
+      getEpisode(server, ep_id, fallback),
+      // The toggle is optional, so a failed lookup only hides it
+      getLanguageVariants(ep_id).catch(() => ({ [episodeLanguage(ep_id)]: ep_id })),
+    ]);
+    const data = buildPlayerData(resolution, { ep_id, server, fallback, token });
+    logger.info('Streaming video', { videoUrl: data.videoUrl, server, servedBy: data.servedBy, anime_id });
+    res.set('X-Served-By', data.servedBy);
+    res.render('index', {
+      ...data,
+      animeId: ep_id,
+      requestedServer: server,
+      signedPlayback: Boolean(token),
+      languages: buildLanguages(variants, ep_id, res.locals.playbackClaims),
+      watchedThreshold: WATCHED_THRESHOLD,
+      playerOptions: parsePlayerOptions(req.query),
+    });
   } catch (error) {
-    logger.error('Error getting video URL from primary server', { error: error.message });
-
-    try {
-      const fallbackResponse = await fallbackHandler(anime_id);
-      const fallbackSources = fallbackResponse.sources;
-
-      if (!fallbackSources || fallbackSources.length === 0) {
-        await delCache(cacheKey);  // `cacheKey` is now defined correctly
-        logger.warn('No fallback sources available');
-        return res.status(404).render('error', { message: 'No fallback sources available' });
-      }
-
-      const qualities = fallbackSources.map(source => ({
-        quality: source.quality,
-        url: `https://proxy.mail-hook.com/fetch?url=${source.url}`
-      }));
-
-      const fallbackVideoUrl = qualities[0].url;
-      logger.info('Serving fallback video URL', { fallbackVideoUrl });
-
-      const cacheData = JSON.stringify({ videoUrl: fallbackVideoUrl, qualities });
-      await setCache(cacheKey, cacheData);
-      return res.render('index', { videoUrl: fallbackVideoUrl, qualities });
-
-    } catch (fallbackError) {
-      logger.error('Error getting video URL from fallback server', { fallbackError: fallbackError.message });
-      res.status(500).render('error', { message: 'Failed to get video URL from both primary and fallback servers' });
-    }
+    logger.error('Error getting video URL', { error: error.message, code: error.code, attempts: error.attempts });
+    renderPlayerError(res, error, { anime_id, server, token });
   }
 });
 
+// List the registered servers and what each one can return
+app.get('/servers', (req, res) => {
+  res.json(describeServers());
+});
 
-// Route to get sources for an anime episode
+// Redis connectivity and circuit breaker state of every server
+app.get('/health', async (req, res) => {
+  const [redis, serverHealth] = await Promise.all([
+    pingRedis(),
+    getHealthReport(Object.keys(servers)),
+  ]);
+  const degraded = !redis.connected || Object.values(serverHealth).some(entry => entry.state !== 'closed');
+
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    uptime: Math.round(process.uptime()),
+    redis,
+    servers: serverHealth,
+  });
+});
+
+// Route to get sources for an anime episode, grouped by sub and dub
 app.get('/sources', async (req, res) => {
   const { anime_id } = req.query;
 
   if (!anime_id) {
     logger.error('Missing required parameters', { anime_id });
-    return res.status(400).render('error', { message: 'Missing required parameters' });
+    return sendError(res, new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required parameter: anime_id'));
   }
 
   const ep_id = anime_id;
-  const cacheKey = `sources-${ep_id}`;
-  const cachedData = await getCache(cacheKey);
+  const results = await getSourcesByLanguage(ep_id);
 
-  if (cachedData) {
-    logger.info('Serving sources from cache', { ep_id });
-    return res.json(JSON.parse(cachedData));
+  logger.info('Fetched sources', { anime_id });
+  res.json(results);
+});
+
+// Most episodes one batch may ask for
+const BATCH_MAX_EPISODES = Number(process.env.SOURCES_BATCH_MAX) || 50;
+// Episodes of a batch resolved at once; each one fans out to every server
+const BATCH_CONCURRENCY = Number(process.env.SOURCES_BATCH_CONCURRENCY) || 4;
+
+// One batch fans out to every server for each episode, so only API key
+// holders may send one
+const requireBatchKey = (req, res, next) => {
+  if (hasApiKey(req)) return next();
+  sendError(res, new ApiError(401, ErrorCodes.UNAUTHORIZED, 'Missing or invalid API key'));
+};
+
+// Sources for many episodes, streamed as NDJSON: one line per episode in
+// the order they finish, shaped like /sources or carrying an error
+app.post('/sources/batch', requireBatchKey, async (req, res) => {
+  const { anime_ids } = req.body || {};
+
+  if (!Array.isArray(anime_ids) || !anime_ids.length) {
+    return sendError(res, new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required field: anime_ids'));
+  }
+  if (!anime_ids.every(id => typeof id === 'string' && id)) {
+    return sendError(res, new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'anime_ids must be non-empty strings'));
+  }
+  const episodeIds = [...new Set(anime_ids)];
+  if (episodeIds.length > BATCH_MAX_EPISODES) {
+    return sendError(res, new ApiError(400, ErrorCodes.INVALID_PARAMETER, `At most ${BATCH_MAX_EPISODES} episodes per batch`));
   }
 
-  const results = {};
-  const serverPromises = Object.keys(servers).map(async server => {
+  res.status(200).type('application/x-ndjson');
+  res.set('Cache-Control', 'no-cache');
+  // Stop starting new episodes once the client is gone
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const write = line => {
+    if (closed) return;
+    res.write(`${JSON.stringify(line)}\n`);
+    // Push each line through compression instead of buffering the batch
+    res.flush?.();
+  };
+
+  await forEachLimit(episodeIds, BATCH_CONCURRENCY, async anime_id => {
     try {
-      const sources = await servers[server].getEpisodeSources(ep_id);
-      results[server] = sources.length ? sources : { error: 'No sources found' };
+      write({ anime_id, sources: await getSourcesByLanguage(anime_id) });
     } catch (error) {
-      logger.error(`Error getting sources from ${server}`, { error: error.message });
-      results[server] = { error: 'Failed to get sources' };
+      logger.error('Batch sources failed', { anime_id, error: error.message });
+      write({
+        anime_id,
+        ...errorBody(error instanceof ApiError ? error : { code: ErrorCodes.INTERNAL_ERROR, message: 'Internal server error' }),
+      });
     }
-  });
-
-  await Promise.all(serverPromises);
+  }, { cancelled: () => closed });
 
-  const hasErrors = Object.values(results).some(result => result.error);
-  if (!hasErrors) await setCache(cacheKey, JSON.stringify(results));
-
-  logger.info('Fetched sources', { anime_id });
-  res.json(results);
+  logger.info('Fetched batch sources', { episodes: episodeIds.length, aborted: closed });
+  res.end();
 });
 
 // Start the server
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
+  startWarmup();
 });
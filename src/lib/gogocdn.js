@@ -1,28 +1,57 @@
-import axios from 'axios';
 import { load } from 'cheerio';
 import CryptoJS from 'crypto-js';
-import { getCache, setCache } from '../utils/redis.js';
+import { getCached, setCached } from '../utils/cache.js';
+import { playlistToSources } from '../utils/playlist.js';
+import { normalizeQuality } from '../utils/sources.js';
+import logger from '../utils/logger.js';
+import Extractor from '../utils/extractor.js';
+import { DecryptionFailed, NoSourcesFound, classifyError } from '../utils/errors.js';
 
 const baseUrl = process.env.BASE_URL;
 
-const keys = {
-    key: CryptoJS.enc.Utf8.parse(process.env.CRYPTO_KEY),
-    secondKey: CryptoJS.enc.Utf8.parse(process.env.CRYPTO_SECOND_KEY),
-    iv: CryptoJS.enc.Utf8.parse(process.env.CRYPTO_IV),
+// Optional override; without it the keys are discovered from the embed page
+const envKeys = {
+    key: process.env.CRYPTO_KEY,
+    secondKey: process.env.CRYPTO_SECOND_KEY,
+    iv: process.env.CRYPTO_IV,
 };
 
 function validateEnvVars() {
     if (!baseUrl) throw new Error('BASE_URL is not defined in the environment variables');
-    if (!keys.key) throw new Error('CRYPTO_KEY is not defined in the environment variables');
-    if (!keys.secondKey) throw new Error('CRYPTO_SECOND_KEY is not defined in the environment variables');
-    if (!keys.iv) throw new Error('CRYPTO_IV is not defined in the environment variables');
+    const keysSet = Object.values(envKeys).filter(Boolean).length;
+    if (keysSet > 0 && keysSet < 3) {
+        throw new Error('CRYPTO_KEY, CRYPTO_SECOND_KEY and CRYPTO_IV must be set together');
+    }
+}
+
+/**
+ * Read the AES keys and IV the embed carries in its markup: the key as
+ * `body.container-<key>`, the IV as `div.wrapper.container-<iv>` and the
+ * second key as `div.videocontent-<key>`.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded embed page
+ * @returns {{ key: string, secondKey: string, iv: string }|null}
+ */
+function discoverKeys($) {
+    const key = ($('body[class]').attr('class') || '').match(/container-(\S+)/)?.[1];
+    const iv = ($('div.wrapper').attr('class') || '').match(/container-(\S+)/)?.[1];
+    const secondKey = ($("div[class*='videocontent-']").attr('class') || '').match(/videocontent-(\S+)/)?.[1];
+    if (!key || !secondKey || !iv) return null;
+    return { key, secondKey, iv };
 }
 
+const parseKey = value => CryptoJS.enc.Utf8.parse(value);
+
+const sameKeys = (a, b) => a.key === b.key && a.secondKey === b.secondKey && a.iv === b.iv;
+
 validateEnvVars();
 
-class GogoCDN {
+class GogoCDN extends Extractor {
     constructor() {
-        this.serverName = 'GogoCDN';
+        super({
+            id: 'gogocdn',
+            serverName: 'GogoCDN',
+            capabilities: { qualities: true, backup: true, subtitles: false },
+        });
         this.sources = [];
     }
 
@@ -30,13 +59,13 @@ class GogoCDN {
         try {
             episode = episode.replace(':', '');
     
-            const cachedIframeSrc = await getCache(episode);
+            const cachedIframeSrc = await getCached('iframe', episode);
             if (cachedIframeSrc) {
                 return cachedIframeSrc;
             }
     
             const url = `${baseUrl}/${episode}`;
-            const { data: html } = await axios.get(url);
+            const { data: html } = await this.http.get(url);
     
             const $ = load(html);
             let iframeSrc = $('#load_anime > div > div > iframe').attr('src');
@@ -46,74 +75,132 @@ class GogoCDN {
                 iframeSrc = $('li.vidcdn a').attr('data-video');
             }
     
-            if (iframeSrc) {
-                await setCache(episode, iframeSrc);
+            if (!iframeSrc) {
+                throw new NoSourcesFound('No embed found on the episode page');
             }
-    
+
+            await setCached('iframe', episode, iframeSrc);
             return iframeSrc;
         } catch (error) {
-            console.error('Error fetching or parsing HTML:', error);
-            throw new Error('Failed to retrieve iframe source');
+            console.error('Error fetching or parsing HTML:', error.message);
+            throw classifyError(error, { server: this.id, message: 'Failed to retrieve iframe source' });
         }
     }
 
-    async generateEncryptedAjaxParams($, id) {
+    /**
+     * Number of the latest episode of a show, read from its category page.
+     * @param {string} slug - Show slug, e.g. `one-piece` or `one-piece-dub`
+     * @returns {Promise<number>}
+     */
+    async getLatestEpisode(slug) {
         try {
-            const encryptedKey = CryptoJS.AES.encrypt(id, keys.key, { iv: keys.iv }).toString();
+            const { data: html } = await this.http.get(`${baseUrl}/category/${slug}`);
+            const $ = load(html);
+            const latest = Math.max(0, ...$('#episode_page a')
+                .map((i, el) => Math.floor(Number($(el).attr('ep_end'))) || 0)
+                .get());
+
+            if (!latest) {
+                throw new NoSourcesFound('No episodes listed on the show page');
+            }
+            return latest;
+        } catch (error) {
+            throw classifyError(error, { server: this.id, message: 'Failed to read the show page' });
+        }
+    }
+
+    /**
+     * Keys for an embed host: the env override, else the cached ones, else
+     * the ones in the embed markup. `fresh` goes straight to the markup and
+     * replaces the cached keys.
+     * @param {string} host
+     * @param {import('cheerio').CheerioAPI} $ - Loaded embed page
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh]
+     */
+    async getKeys(host, $, { fresh = false } = {}) {
+        if (!fresh) {
+            if (envKeys.key) return envKeys;
+            const cachedKeys = await getCached('cryptoKeys', host);
+            if (cachedKeys) return cachedKeys;
+        }
+
+        const keys = discoverKeys($);
+        if (!keys) throw new DecryptionFailed('No crypto keys found in the embed markup', { server: this.id });
+        await setCached('cryptoKeys', host, keys);
+        return keys;
+    }
+
+    async generateEncryptedAjaxParams($, id, keys) {
+        try {
+            const key = parseKey(keys.key);
+            const iv = parseKey(keys.iv);
+            const encryptedKey = CryptoJS.AES.encrypt(id, key, { iv }).toString();
             const scriptValue = $("script[data-name='episode']").attr('data-value');
-            const decryptedToken = CryptoJS.AES.decrypt(scriptValue, keys.key, { iv: keys.iv }).toString(CryptoJS.enc.Utf8);
+            const decryptedToken = CryptoJS.AES.decrypt(scriptValue, key, { iv }).toString(CryptoJS.enc.Utf8);
 
             return `id=${encryptedKey}&alias=${id}&${decryptedToken}`;
         } catch (error) {
-            console.error('Error generating encrypted AJAX parameters:', error);
-            throw new Error('Failed to generate encrypted AJAX parameters');
+            console.error('Error generating encrypted AJAX parameters:', error.message);
+            throw new DecryptionFailed('Failed to generate encrypted AJAX parameters', { cause: error, server: this.id });
         }
     }
 
-    async decryptAjaxData(encryptedData) {
+    async decryptAjaxData(encryptedData, keys) {
         try {
-            const decryptedData = CryptoJS.AES.decrypt(encryptedData, keys.secondKey, { iv: keys.iv }).toString(CryptoJS.enc.Utf8);
+            const decryptedData = CryptoJS.AES.decrypt(encryptedData, parseKey(keys.secondKey), { iv: parseKey(keys.iv) }).toString(CryptoJS.enc.Utf8);
             return JSON.parse(decryptedData);
         } catch (error) {
-            console.error('Error decrypting AJAX data:', error);
-            throw new Error('Failed to decrypt AJAX data');
+            console.error('Error decrypting AJAX data:', error.message);
+            throw new DecryptionFailed('Failed to decrypt AJAX data', { cause: error, server: this.id });
         }
     }
 
+    async fetchEncryptedSources(videoUrl, $, keys) {
+        const encryptedParams = await this.generateEncryptedAjaxParams($, videoUrl.searchParams.get('id') || '', keys);
+        const { data: encryptedData } = await this.http.get(`${videoUrl.origin}/encrypt-ajax.php?${encryptedParams}`, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        });
+        return this.decryptAjaxData(encryptedData.data, keys);
+    }
+
     async extractVideoUrls(videoUrl) {
         try {
 
-            const res = await axios.get(videoUrl.href);
+            const res = await this.http.get(videoUrl.href);
             const $ = load(res.data);
 
-            const encryptedParams = await this.generateEncryptedAjaxParams($, videoUrl.searchParams.get('id') || '');
-            const { data: encryptedData } = await axios.get(`${videoUrl.protocol}//${videoUrl.hostname}/encrypt-ajax.php?${encryptedParams}`, {
-                headers: { 'X-Requested-With': 'XMLHttpRequest' }
-            });
-
-            const decryptedData = await this.decryptAjaxData(encryptedData.data);
-            if (!decryptedData.source) throw new Error('No source found. Try a different server.');
+            const keys = await this.getKeys(videoUrl.hostname, $);
+            let decryptedData;
+            try {
+                decryptedData = await this.fetchEncryptedSources(videoUrl, $, keys);
+            } catch (error) {
+                if (!(error instanceof DecryptionFailed)) throw error;
+                // The embed rotated its keys; read the current ones from this page and retry once
+                const freshKeys = await this.getKeys(videoUrl.hostname, $, { fresh: true }).catch(() => null);
+                if (!freshKeys || sameKeys(freshKeys, keys)) throw error;
+                logger.info('GogoCDN keys rotated, retrying with keys from the embed', { host: videoUrl.hostname });
+                decryptedData = await this.fetchEncryptedSources(videoUrl, $, freshKeys);
+            }
+            if (!decryptedData.source) throw new NoSourcesFound('No source found. Try a different server.');
 
             const sources = [];
+            // The CDN rejects playlist and segment requests without the embed as Referer
+            const headers = { Referer: videoUrl.href };
             if (decryptedData.source[0].file.includes('.m3u8')) {
-                const resResult = await axios.get(decryptedData.source[0].file.toString());
-                const resolutions = resResult.data.match(/(RESOLUTION=)(.*)(\s*?)(\s*.*)/g);
-                resolutions.forEach(res => {
-                    const index = decryptedData.source[0].file.lastIndexOf('/');
-                    const quality = res.split('\n')[0].split('x')[1].split(',')[0];
-                    const url = decryptedData.source[0].file.slice(0, index);
-                    sources.push({
-                        url: url + '/' + res.split('\n')[1],
-                        isM3U8: (url + res.split('\n')[1]).includes('.m3u8'),
-                        quality: quality + 'p'
-                    });
-                });
+                const masterUrl = decryptedData.source[0].file.toString();
+                const { data: playlist } = await this.http.get(masterUrl, { headers });
+                const variants = playlistToSources(playlist, masterUrl, { headers });
+                // Single-rendition uploads link straight to a media playlist
+                sources.push(...(variants.length ? variants : [{ url: masterUrl, isM3U8: true, quality: null, backup: false, headers }]));
             } else {
                 decryptedData.source.forEach(source => {
                     sources.push({
                         url: source.file,
                         isM3U8: source.file.includes('.m3u8'),
-                        quality: source.label.split(' ')[0] + 'p'
+                        quality: normalizeQuality(source.label),
+                        backup: false,
+                        headers
                     });
                 });
             }
@@ -122,26 +209,30 @@ class GogoCDN {
                 sources.push({
                     url: source.file,
                     isM3U8: source.file.includes('.m3u8'),
-                    quality: 'backup'
+                    quality: null,
+                    backup: true,
+                    headers
                 });
             });
 
             return sources;
         } catch (error) {
-            console.error('Error extracting video URLs:', error);
-            throw new Error('Failed to extract video URLs');
+            console.error('Error extracting video URLs:', error.message);
+            throw classifyError(error, { server: this.id, message: 'Failed to extract video URLs' });
         }
     }
 
-    async getEpisodeSources(name) {
+    async extractSources(name) {
         try {
             const iframeSrc = await this.getIframeSrc(name);
             const videoUrl = new URL(iframeSrc);
-            const videoSources = await this.extractVideoUrls(videoUrl);
+            const videoSources = await this.withBrowserFallback(videoUrl.href, () => this.extractVideoUrls(videoUrl), {
+                referer: `${baseUrl}/${name}`,
+            });
             return videoSources;
         } catch (error) {
-            console.error('Error getting episode sources:', error);
-            throw new Error('Failed to get episode sources');
+            console.error('Error getting episode sources:', error.message);
+            throw classifyError(error, { server: this.id });
         }
     }
 }
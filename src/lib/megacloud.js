@@ -1,10 +1,120 @@
 import crypto from "crypto";
+import { load } from "cheerio";
+import dotenv from "dotenv";
+import { playlistToSources } from "../utils/playlist.js";
+import { normalizeRange } from "../utils/sources.js";
+import { getCached, setCached } from "../utils/cache.js";
+import logger from "../utils/logger.js";
+import Extractor from "../utils/extractor.js";
+import { DecryptionFailed, NoSourcesFound, classifyError } from "../utils/errors.js";
+
+dotenv.config();
+
+const baseUrl = process.env.BASE_URL || "https://gogoanime3.co";
 
 export const megacloud = {
-  script: "https://megacloud.tv/js/player/a/prod/e1-player.min.js?v=",
+  script: "https://megacloud.tv/js/player/a/prod/e1-player.min.js",
   sources: "https://megacloud.tv/embed-2/ajax/e-1/getSources?id=",
 };
 
+// How long a downloaded player script is trusted before it is fetched again
+const SCRIPT_TTL_MS = Number(process.env.MEGACLOUD_SCRIPT_TTL_MS) || 15 * 60 * 1000;
+
+/** @type {{ hash: string, text: string, fetchedAt: number }|null} */
+let playerScript = null;
+
+const NUMBER = /^(0x[0-9a-f]+|\d+)$/i;
+
+/**
+ * Key index pairs from `case` branches that assign two plain literals or
+ * variables, e.g. `case 0x3: a = 0x1f, b = x;`, tolerating any spacing.
+ * @param {string} script
+ * @returns {number[][]}
+ */
+function extractLiteralPairs(script) {
+  const resolve = (token) => {
+    if (NUMBER.test(token)) return Number(token);
+    const match = script.match(new RegExp(`[,;\\s(]${token}\\s*=\\s*(0x[0-9a-fA-F]+|\\d+)\\b`));
+    return match ? Number(match[1]) : NaN;
+  };
+
+  const regex = /case\s*[^:]+:(?![^;]*=\s*partKey)\s*\w+\s*=\s*(\w+)\s*,\s*\w+\s*=\s*(\w+)\s*;/g;
+  return Array.from(script.matchAll(regex), (match) => [resolve(match[1]), resolve(match[2])])
+    .filter((pair) => pair.every(Number.isInteger));
+}
+
+// Binary operators allowed in key expressions, loosest binding first
+const OPERATOR_PRECEDENCE = { "|": 1, "^": 2, "+": 3, "-": 3, "*": 4 };
+
+const applyOperator = {
+  "|": (a, b) => a | b,
+  "^": (a, b) => a ^ b,
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+};
+
+/**
+ * Evaluate an expression made only of numeric literals, names from
+ * `constants` and `+ - * ^ |`, with JavaScript precedence. The script is
+ * upstream-controlled, so nothing in it is ever executed.
+ * @param {string} expression
+ * @param {Object<string, number>} constants
+ * @returns {number|null} `null` for anything else
+ */
+function evaluateExpression(expression, constants) {
+  const tokens = expression.match(/0x[0-9a-fA-F]+|\d+|\w+|[|^+\-*]|\S/g) || [];
+  const values = [];
+  const operators = [];
+
+  const reduce = () => {
+    const b = values.pop();
+    const a = values.pop();
+    values.push(applyOperator[operators.pop()](a, b));
+  };
+
+  for (const [index, token] of tokens.entries()) {
+    const expectOperand = index % 2 === 0;
+    if (expectOperand) {
+      if (/^(0x[0-9a-fA-F]+|\d+)$/.test(token)) {
+        values.push(Number(token));
+      } else if (/^[A-Za-z_$][\w$]*$/.test(token) && Object.hasOwn(constants, token)) {
+        values.push(constants[token]);
+      } else {
+        return null;
+      }
+    } else {
+      if (!(token in OPERATOR_PRECEDENCE)) return null;
+      while (operators.length && OPERATOR_PRECEDENCE[operators.at(-1)] >= OPERATOR_PRECEDENCE[token]) reduce();
+      operators.push(token);
+    }
+  }
+  if (!tokens.length || tokens.length % 2 === 0) return null;
+  while (operators.length) reduce();
+  return values[0];
+}
+
+/**
+ * Key index pairs from `case` branches whose values are expressions, such
+ * as `a = x + 0x2`, over the script's numeric constants.
+ * @param {string} script
+ * @returns {number[][]}
+ */
+function evaluateKeyCases(script) {
+  const constants = {};
+  for (const [, name, value] of script.matchAll(/[,;{(\s](\w+)\s*=\s*(0x[0-9a-fA-F]+|\d+)(?=[,;)}\s])/g)) {
+    if (!Object.hasOwn(constants, name)) constants[name] = Number(value);
+  }
+
+  const pairs = [];
+  const regex = /case\s*[^:]+:(?![^;]*=\s*partKey)\s*\w+\s*=\s*([^,;]+?)\s*,\s*\w+\s*=\s*([^,;]+?)\s*;/g;
+  for (const match of script.matchAll(regex)) {
+    const pair = [match[1], match[2]].map((expression) => evaluateExpression(expression, constants));
+    if (pair.every(Number.isInteger)) pairs.push(pair);
+  }
+  return pairs;
+}
+
 /**
  * @typedef {Object} Track
  * @property {string} file - The file URL
@@ -20,8 +130,7 @@ export const megacloud = {
  */
 
 /**
- * @typedef {Object} IntroOutro
- * Define the properties of Intro and Outro here
+ * @typedef {import('../utils/sources.js').IntroOutro} IntroOutro
  */
 
 /**
@@ -34,88 +143,149 @@ export const megacloud = {
  * @property {number} server - The server number
  */
 
-class MegaCloud {
+class MegaCloud extends Extractor {
 
-  serverName = 'MegaCloud';
   sources = [];
 
+  // Ways to read the key index pairs out of the player script, tried in order
+  keyStrategies = [
+    { name: "case-variables", extract: (script) => this.extractVariables(script) },
+    { name: "case-literals", extract: extractLiteralPairs },
+    { name: "constant-expressions", extract: evaluateKeyCases },
+  ];
+
+  constructor() {
+    super({
+      id: 'megacloud',
+      serverName: 'MegaCloud',
+      capabilities: { qualities: true, subtitles: true, introOutro: true },
+    });
+  }
+
   async extract(videoUrl) {
     try {
       const result = {
         sources: [],
         subtitles: [],
-        intro: {}, 
-        outro: {} 
+        intro: null,
+        outro: null
       };
 
       const videoId = videoUrl?.href?.split("/")?.pop()?.split("?")[0];
-      const { data: srcsData } = this.client.get(
+      const { data: srcsData } = await this.http.get(
         megacloud.sources.concat(videoId || ""),
         {
           headers: {
             Accept: "*/*",
             "X-Requested-With": "XMLHttpRequest",
-            "User-Agent":
-              "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
             Referer: videoUrl.href,
           },
         }
       );
       if (!srcsData) {
-        throw new Error("Url may have an invalid video id");
+        throw new NoSourcesFound("Url may have an invalid video id", { server: this.id });
       }
 
       const encryptedString = srcsData.sources;
-      if (!srcsData.encrypted && Array.isArray(encryptedString)) {
-        result.intro = srcsData.intro;
-        result.outro = srcsData.outro;
-        result.subtitles = srcsData.tracks.map((s) => ({
-          url: s.file,
-          lang: s.label ? s.label : 'Thumbnails',
-        }));
-        result.sources = encryptedString.map((s) => ({
-          url: s.file,
-          type: s.type,
-          isM3U8: s.file.includes('.m3u8'),
-        }));
-        return result;
-      }
+      const sources = !srcsData.encrypted && Array.isArray(encryptedString)
+        ? encryptedString
+        : await this.decryptSources(encryptedString);
+      result.intro = normalizeRange(srcsData.intro);
+      result.outro = normalizeRange(srcsData.outro);
+      result.subtitles = srcsData.tracks.map((s) => ({
+        url: s.file,
+        lang: s.label ? s.label : 'Thumbnails',
+      }));
+      result.sources = sources.map((s) => ({
+        url: s.file,
+        type: s.type,
+        isM3U8: s.file.includes('.m3u8'),
+      }));
 
-      const { data } = await this.client.get(
-        megacloud.script.concat(Date.now().toString())
-      );
+      return result;
+    } catch (err) {
+      throw classifyError(err, { server: this.id });
+    }
+  }
 
-      const text = data;
-      if (!text)
-        throw new Error("Couldn't fetch script to decrypt resource");
+  /**
+   * The player script and its SHA-256, downloaded at most once per
+   * `MEGACLOUD_SCRIPT_TTL_MS` unless `fresh` is set.
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh]
+   */
+  async getPlayerScript({ fresh = false } = {}) {
+    if (!fresh && playerScript && Date.now() - playerScript.fetchedAt < SCRIPT_TTL_MS) {
+      return playerScript;
+    }
 
-      const vars = this.extractVariables(text);
-      const { secret, encryptedSource } = this.getSecret(
-        encryptedString,
-        vars
-      );
-      const decrypted = this.decrypt(encryptedSource, secret);
-      try {
-        const sources = JSON.parse(decrypted);
-        result.intro = srcsData.intro;
-        result.outro = srcsData.outro;
-        result.subtitles = srcsData.tracks.map((s) => ({
-          url: s.file,
-          lang: s.label ? s.label : 'Thumbnails',
-        }));
-        result.sources = sources.map((s) => ({
-          url: s.file,
-          type: s.type,
-          isM3U8: s.file.includes('.m3u8'),
-        }));
-
-        return result;
-      } catch (error) {
-        throw new Error("Failed to decrypt resource");
-      }
+    const { data: text } = await this.http.get(megacloud.script, { responseType: "text" });
+    if (!text)
+      throw new DecryptionFailed("Couldn't fetch script to decrypt resource", { server: this.id });
+
+    const hash = crypto.createHash("sha256").update(text).digest("hex");
+    playerScript = { hash, text, fetchedAt: Date.now() };
+    return playerScript;
+  }
+
+  /**
+   * Decrypt with the given key index pairs, returning the sources only if
+   * the result parses as a sources array.
+   * @param {string} encryptedString
+   * @param {number[][]} pairs
+   * @returns {UnencryptSource[]|null}
+   */
+  tryDecrypt(encryptedString, pairs) {
+    try {
+      const { secret, encryptedSource } = this.getSecret(encryptedString, pairs);
+      const sources = JSON.parse(this.decrypt(encryptedSource, secret));
+      const valid = Array.isArray(sources) && sources.length > 0 &&
+        sources.every((source) => typeof source?.file === "string");
+      return valid ? sources : null;
     } catch (err) {
-      throw err;
+      return null;
+    }
+  }
+
+  /**
+   * Decrypt the sources, reusing the key index pairs cached for the current
+   * script hash. Otherwise each strategy is tried in turn and the first
+   * pairs that decrypt are cached. If nothing works the script is fetched
+   * again in case it changed.
+   * @param {string} encryptedString
+   * @returns {Promise<UnencryptSource[]>}
+   */
+  async decryptSources(encryptedString) {
+    let lastHash = null;
+
+    for (const fresh of [false, true]) {
+      const script = await this.getPlayerScript({ fresh });
+      if (script.hash === lastHash) break;
+      lastHash = script.hash;
+
+      const cachedPairs = await getCached("megacloudKeys", script.hash);
+      const cachedSources = cachedPairs && this.tryDecrypt(encryptedString, cachedPairs);
+      if (cachedSources) return cachedSources;
+
+      for (const strategy of this.keyStrategies) {
+        let pairs;
+        try {
+          pairs = strategy.extract(script.text);
+        } catch (err) {
+          continue;
+        }
+        if (!pairs.length) continue;
+
+        const sources = this.tryDecrypt(encryptedString, pairs);
+        if (sources) {
+          logger.info("MegaCloud keys extracted", { strategy: strategy.name, hash: script.hash.slice(0, 12) });
+          await setCached("megacloudKeys", script.hash, pairs);
+          return sources;
+        }
+      }
     }
+
+    throw new DecryptionFailed("No key extraction strategy could decrypt the sources", { server: this.id });
   }
 
   extractVariables(text) {
@@ -194,13 +364,58 @@ class MegaCloud {
     return decrypted;
   }
 
+  /**
+   * Expand a master playlist into one source per variant, keeping the
+   * master itself as the default entry.
+   * @param {string} masterUrl
+   * @param {Object} extras - Fields shared by every source of the episode
+   */
+  async expandPlaylist(masterUrl, extras) {
+    const sources = [{ url: masterUrl, quality: null, isM3U8: true, ...extras }];
+    const { data } = await this.http.get(masterUrl, { headers: extras.headers });
+
+    sources.push(...playlistToSources(data, masterUrl, extras));
+    return sources;
+  }
+
+  async extractSources(episodeId) {
+    try {
+      const { data: html } = await this.http.get(`${baseUrl}/${episodeId}`);
+      const $ = load(html);
+      const embedUrl = $('ul li a[data-video*="megacloud"]').first().attr('data-video');
+      if (!embedUrl) return [];
+
+      const result = await this.extract(new URL(embedUrl, baseUrl));
+      const extras = {
+        // megacloud's CDN only serves playlists to its own player origin
+        headers: { Referer: 'https://megacloud.tv/' },
+        subtitles: result.subtitles,
+        intro: result.intro,
+        outro: result.outro,
+      };
+
+      const sources = [];
+      for (const source of result.sources) {
+        if (source.isM3U8) {
+          sources.push(...await this.expandPlaylist(source.url, extras));
+        } else {
+          sources.push({ url: source.url, quality: null, isM3U8: false, ...extras });
+        }
+      }
+      return sources;
+    } catch (error) {
+      logger.error("Error getting MegaCloud episode sources", { episodeId, error: error.message });
+      throw classifyError(error, { server: this.id });
+    }
+  }
+
   matchingKey(value, script) {
     const regex = new RegExp(`,${value}=((?:0x)?([0-9a-fA-F]+))`);
     const match = script.match(regex);
     if (match) {
       return match[1].replace(/^0x/, "");
     } else {
-      throw new Error("Failed to match the key");
+      throw new DecryptionFailed("Failed to match the key", { server: this.id });
     }
   }
   
@@ -0,0 +1,143 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { cached } from '../utils/cache.js';
+import { describeServers, servers } from '../utils/providers.js';
+import { getSourcesMap, loadServerSources } from '../utils/resolver.js';
+import { ApiError, ErrorCodes, errorBody, sendError } from '../utils/api.js';
+import { buildOpenApi } from '../utils/openapi.js';
+import { MAX_TOKEN_TTL, requireApiKey, signPlaybackToken, signingLimiter } from '../utils/playback.js';
+
+export const API_BASE = '/api/v1';
+
+const router = express.Router();
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/** @type {Array<import('../utils/openapi.js').RouteSpec & { handler: Function, middleware?: Function[] }>} */
+const routes = [
+  {
+    method: 'get',
+    path: '/episodes/:id/sources',
+    operationId: 'getEpisodeSources',
+    summary: 'Sources for an episode from every registered server',
+    params: { id: 'Episode id, e.g. `one-piece-episode-1`' },
+    response: ref('EpisodeSources'),
+    async handler(req, res) {
+      const { id } = req.params;
+      const map = await getSourcesMap(id);
+
+      const serverResults = {};
+      for (const [server, result] of Object.entries(map)) {
+        serverResults[server] = Array.isArray(result)
+          ? { status: 'ok', sources: result }
+          : { status: 'error', ...errorBody({ code: result.code, message: result.error }) };
+      }
+
+      res.json({ data: { episodeId: id, servers: serverResults } });
+    },
+  },
+  {
+    method: 'get',
+    path: '/episodes/:id/sources/:server',
+    operationId: 'getEpisodeServerSources',
+    summary: 'Sources for an episode from a single server',
+    params: {
+      id: 'Episode id, e.g. `one-piece-episode-1`',
+      server: 'Server id as listed by `/servers`',
+    },
+    response: ref('ServerSources'),
+    errors: {
+      400: 'Unknown server',
+      404: 'The episode does not exist or the server has no sources for it',
+      502: 'The server failed, was blocked upstream or could not decrypt its sources',
+      503: 'The server is temporarily skipped by its circuit breaker',
+      504: 'The server timed out',
+    },
+    async handler(req, res) {
+      const { id, server } = req.params;
+      const sources = await cached('sources', `api:${server}-${id}`, () => loadServerSources(server, id));
+      res.json({ data: { episodeId: id, server, sources } });
+    },
+  },
+  {
+    method: 'get',
+    path: '/servers',
+    operationId: 'listServers',
+    summary: 'Registered servers and their capabilities',
+    response: { type: 'array', items: ref('Server') },
+    handler(req, res) {
+      res.json({ data: describeServers() });
+    },
+  },
+  {
+    method: 'post',
+    path: '/playback-tokens',
+    operationId: 'createPlaybackToken',
+    summary: 'Sign an expiring playback token for one episode',
+    auth: 'apiKey',
+    middleware: [requireApiKey, signingLimiter],
+    body: ref('PlaybackTokenRequest'),
+    response: ref('PlaybackToken'),
+    errors: {
+      400: 'Missing or invalid body field, or unknown server',
+      401: 'Missing or invalid API key',
+      404: 'Signed playback is not enabled',
+      429: 'Too many tokens signed with this API key',
+    },
+    handler(req, res) {
+      const { episodeId, server, ip, ttl } = req.body || {};
+      if (!episodeId || typeof episodeId !== 'string') {
+        throw new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required field: episodeId');
+      }
+      if (server !== undefined && !servers[server]) {
+        throw new ApiError(400, ErrorCodes.UNKNOWN_SERVER, `Unknown server: ${server}`);
+      }
+      if (ip !== undefined && typeof ip !== 'string') {
+        throw new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'ip must be a string');
+      }
+      if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+        throw new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'ttl must be a positive integer');
+      }
+
+      const { token, expiresAt } = signPlaybackToken(episodeId, {
+        ip,
+        ...(ttl && { ttl: Math.min(ttl, MAX_TOKEN_TTL) }),
+      });
+      const playerUrl = server
+        ? `/?${new URLSearchParams({ anime_id: episodeId, server, token })}`
+        : undefined;
+
+      logger.info('Signed playback token', { episodeId, server, boundToIp: Boolean(ip), expiresAt });
+      res.json({ data: { token, expiresAt, playerUrl } });
+    },
+  },
+];
+
+const spec = buildOpenApi(routes, API_BASE);
+
+for (const route of routes) {
+  router[route.method](route.path, ...(route.middleware || []), async (req, res, next) => {
+    try {
+      await route.handler(req, res);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+router.use((req, res) => {
+  sendError(res, new ApiError(404, ErrorCodes.NOT_FOUND, `No route for ${req.method} ${req.path}`));
+});
+
+// JSON errors for everything under /api/v1, never the HTML error page
+router.use((error, req, res, next) => {
+  if (error instanceof ApiError) return sendError(res, error);
+  logger.error('Unhandled API error', { path: req.path, error: error.message });
+  sendError(res, new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error'));
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { servers } from '../utils/providers.js';
+import { getNeighbours, prefetchNext } from '../utils/episodes.js';
+import { ApiError, ErrorCodes, sendError } from '../utils/api.js';
+
+const router = express.Router();
+
+const internalError = () => new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+
+// Previous and next episode of `anime_id`, each null when it does not exist
+router.get('/neighbours', async (req, res) => {
+  const { anime_id } = req.query;
+  if (!anime_id) {
+    return sendError(res, new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required parameter: anime_id'));
+  }
+
+  try {
+    res.json(await getNeighbours(anime_id));
+  } catch (error) {
+    logger.error('Failed to find neighbouring episodes', { anime_id, error: error.message });
+    sendError(res, error instanceof ApiError ? error : internalError());
+  }
+});
+
+// Sent by the player near the end of an episode; answers before the
+// next episode's sources are resolved
+router.post('/prefetch', async (req, res) => {
+  const { anime_id, server, fallback } = req.body || {};
+  if (!anime_id || !server) {
+    return sendError(res, new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required fields: anime_id, server'));
+  }
+  if (!servers[server]) {
+    return sendError(res, new ApiError(400, ErrorCodes.UNKNOWN_SERVER, `Unknown server: ${server}`));
+  }
+  if (fallback !== undefined && typeof fallback !== 'string') {
+    return sendError(res, new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'fallback must be a string'));
+  }
+
+  try {
+    const next = await prefetchNext(anime_id, server, fallback);
+    if (!next) return res.status(204).end();
+    res.status(202).json({ episodeId: next.id });
+  } catch (error) {
+    logger.error('Failed to prefetch next episode', { anime_id, server, error: error.message });
+    sendError(res, error instanceof ApiError ? error : internalError());
+  }
+});
+
+export default router;
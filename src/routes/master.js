@@ -0,0 +1,52 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { servers } from '../utils/providers.js';
+import { getEpisode, getMergedEpisode } from '../utils/resolver.js';
+import { buildMasterPlaylist } from '../utils/playlist.js';
+import { proxyUrl } from '../utils/proxy.js';
+import { ApiError, ErrorCodes, sendError } from '../utils/api.js';
+import { NoSourcesFound } from '../utils/errors.js';
+
+const router = express.Router();
+
+const isTrue = value => value === '1' || value === 'true';
+
+// One master playlist over every extracted variant, optionally merged
+// across all servers with `?merge=1`
+router.get('/', async (req, res) => {
+  const { anime_id, server, fallback, merge } = req.query;
+
+  if (!anime_id || !server) {
+    return sendError(res, new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required parameters: anime_id, server'));
+  }
+  if (!servers[server]) {
+    return sendError(res, new ApiError(400, ErrorCodes.UNKNOWN_SERVER, `Unknown server: ${server}`));
+  }
+
+  try {
+    const { servedBy, sources } = isTrue(merge)
+      ? await getMergedEpisode(anime_id, server)
+      : await getEpisode(server, anime_id, fallback);
+    res.set('X-Served-By', servedBy);
+
+    const token = res.locals.playbackToken;
+    const playlist = buildMasterPlaylist(sources, { token });
+    if (!playlist) {
+      // Nothing to synthesize from, hand out the server's own adaptive master
+      const master = sources.find(source => source.isM3U8 && !source.backup);
+      if (!master) throw new NoSourcesFound('No HLS sources for this episode', { server: servedBy });
+      return res.redirect(302, proxyUrl(master.url, master.headers, token));
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache',
+    });
+    res.send(playlist);
+  } catch (error) {
+    logger.error('Error building master playlist', { anime_id, server, error: error.message, code: error.code });
+    sendError(res, error instanceof ApiError ? error : new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error'));
+  }
+});
+
+export default router;
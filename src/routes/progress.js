@@ -0,0 +1,61 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { VIEWER_ID, getProgress, listProgress, saveProgress } from '../utils/progress.js';
+import { ApiError, ErrorCodes, sendError } from '../utils/api.js';
+
+const router = express.Router();
+
+// The player reports every few seconds, far more than the site-wide limit allows
+router.use(rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 1000,
+  message: 'Too many progress updates from this IP, please try again after 15 minutes',
+}));
+
+function validateViewer(viewer) {
+  if (!viewer) {
+    throw new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required parameter: viewer');
+  }
+  if (typeof viewer !== 'string' || !VIEWER_ID.test(viewer)) {
+    throw new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'viewer must be 8-128 letters, digits, dashes or underscores');
+  }
+}
+
+const isSeconds = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// A viewer's progress in one episode, or in every episode without `anime_id`
+router.get('/', async (req, res) => {
+  const { viewer, anime_id } = req.query;
+  try {
+    validateViewer(viewer);
+    if (!anime_id) return res.json(await listProgress(viewer));
+
+    const progress = await getProgress(viewer, anime_id);
+    if (!progress) throw new ApiError(404, ErrorCodes.NOT_FOUND, 'No progress for this episode');
+    res.json(progress);
+  } catch (error) {
+    sendError(res, error instanceof ApiError ? error : new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error'));
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { viewer, anime_id, position, duration } = req.body || {};
+  try {
+    validateViewer(viewer);
+    if (!anime_id || typeof anime_id !== 'string') {
+      throw new ApiError(400, ErrorCodes.MISSING_PARAMETER, 'Missing required field: anime_id');
+    }
+    if (!isSeconds(position)) {
+      throw new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'position must be a non-negative number of seconds');
+    }
+    if (duration != null && !isSeconds(duration)) {
+      throw new ApiError(400, ErrorCodes.INVALID_PARAMETER, 'duration must be a non-negative number of seconds');
+    }
+
+    res.json(await saveProgress(viewer, anime_id, { position, duration }));
+  } catch (error) {
+    sendError(res, error instanceof ApiError ? error : new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error'));
+  }
+});
+
+export default router;
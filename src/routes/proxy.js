@@ -0,0 +1,109 @@
+import express from 'express';
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { DEFAULT_USER_AGENT, decodeHeaders, isPlaylist, rewritePlaylist, verifyTarget } from '../utils/proxy.js';
+import { finalUrl, isPublicUrl, publicRequestOptions } from '../utils/network.js';
+
+const router = express.Router();
+
+// Response headers passed through to the player for segments and keys
+const PASSTHROUGH_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'cache-control',
+  'last-modified',
+  'etag',
+];
+
+// Never served from the player's origin, where they could run as our page
+const UNSAFE_CONTENT_TYPE = /html|javascript|ecmascript|xml|svg/i;
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+// Proxy upstream playlists and segments with the headers their CDN expects
+router.get('/', async (req, res) => {
+  const { url, h, s } = req.query;
+
+  // Only URLs this server built, so it cannot be used as an open proxy
+  if (!verifyTarget(url, h, s)) {
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid url' });
+  }
+
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return res.status(400).json({ error: 'Unsupported protocol' });
+  }
+
+  if (!(await isPublicUrl(target))) {
+    logger.warn('Refused proxy request to an internal address', { url: target.href });
+    return res.status(403).json({ error: 'Forbidden target' });
+  }
+
+  const forwarded = decodeHeaders(h);
+  const headers = { 'User-Agent': DEFAULT_USER_AGENT, ...forwarded };
+  if (req.headers.range) headers.Range = req.headers.range;
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const upstream = await axios.get(target.href, {
+      headers,
+      responseType: 'stream',
+      signal: controller.signal,
+      timeout: 15000,
+      validateStatus: () => true,
+      ...publicRequestOptions(),
+    });
+
+    if (upstream.status >= 400) {
+      upstream.data.destroy();
+      logger.warn('Upstream rejected proxy request', { url: target.href, status: upstream.status });
+      return res.status(upstream.status === 404 ? 404 : 502).json({ error: 'Upstream request failed' });
+    }
+
+    const contentType = upstream.headers['content-type'] || '';
+
+    if (isPlaylist(target.href, contentType)) {
+      const body = await readStream(upstream.data);
+      res.set('Content-Type', 'application/vnd.apple.mpegurl');
+      res.set('Cache-Control', 'no-cache');
+      return res.send(rewritePlaylist(body, finalUrl(upstream, target.href), forwarded, res.locals.playbackToken));
+    }
+
+    res.status(upstream.status);
+    for (const name of PASSTHROUGH_HEADERS) {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    }
+    if (UNSAFE_CONTENT_TYPE.test(contentType)) {
+      res.set('Content-Type', 'application/octet-stream');
+    }
+    upstream.data.pipe(res);
+  } catch (error) {
+    if (axios.isCancel(error)) return;
+    if (error.code === 'ERR_PRIVATE_ADDRESS') {
+      logger.warn('Refused proxy request to an internal address', { url: target.href, error: error.message });
+      if (!res.headersSent) res.status(403).json({ error: 'Forbidden target' });
+      return;
+    }
+    logger.error('Error proxying upstream resource', { url: target.href, error: error.message });
+    if (!res.headersSent) res.status(502).json({ error: 'Upstream request failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+import express from 'express';
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { DEFAULT_USER_AGENT, decodeHeaders, verifyTarget } from '../utils/proxy.js';
+import { joinVttSegments, toVtt } from '../utils/subtitles.js';
+import { parsePlaylist } from '../utils/playlist.js';
+import { finalUrl, isPublicUrl, publicRequestOptions } from '../utils/network.js';
+import { forEachLimit } from '../utils/concurrency.js';
+
+const router = express.Router();
+
+// Most segments one subtitle playlist may make us fetch
+const MAX_SEGMENTS = Number(process.env.SUBTITLE_MAX_SEGMENTS) || 300;
+// Segments fetched at once
+const SEGMENT_CONCURRENCY = 6;
+
+// Body and the URL it was served from, after redirects
+async function fetchText(url, headers) {
+  const response = await axios.get(url, {
+    headers,
+    responseType: 'text',
+    timeout: 15000,
+    ...publicRequestOptions(),
+  });
+  return { text: response.data, url: finalUrl(response, url) };
+}
+
+// Segment URLs come from the upstream playlist, so each is checked on its own
+async function fetchSegments(urls, headers) {
+  const segments = new Array(urls.length);
+  let failure = null;
+  await forEachLimit(urls, SEGMENT_CONCURRENCY, async (url, index) => {
+    try {
+      if (!(await isPublicUrl(new URL(url)))) throw new Error(`Refusing to fetch internal segment ${url}`);
+      segments[index] = (await fetchText(url, headers)).text;
+    } catch (error) {
+      failure = error;
+    }
+  }, { cancelled: () => Boolean(failure) });
+  if (failure) throw failure;
+  return segments;
+}
+
+// Serve any upstream subtitle (vtt, srt, ass or an HLS subtitle playlist) as WebVTT
+router.get('/', async (req, res) => {
+  const { url, h, s } = req.query;
+
+  // Only URLs this server built with `subtitleUrl`
+  if (!verifyTarget(url, h, s)) {
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid url' });
+  }
+
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return res.status(400).json({ error: 'Unsupported protocol' });
+  }
+
+  if (!(await isPublicUrl(target))) {
+    logger.warn('Refused subtitle request to an internal address', { url: target.href });
+    return res.status(403).json({ error: 'Forbidden target' });
+  }
+
+  const headers = { 'User-Agent': DEFAULT_USER_AGENT, ...decodeHeaders(h) };
+
+  try {
+    const { text, url: baseUrl } = await fetchText(target.href, headers);
+    let vtt;
+
+    if (text.trimStart().startsWith('#EXTM3U')) {
+      const segmentUrls = parsePlaylist(text, baseUrl).segments;
+      if (segmentUrls.length > MAX_SEGMENTS) {
+        logger.warn('Subtitle playlist has too many segments', { url: target.href, segments: segmentUrls.length });
+        return res.status(502).json({ error: 'Subtitle playlist is too long' });
+      }
+      vtt = joinVttSegments(await fetchSegments(segmentUrls, headers));
+    } else {
+      vtt = toVtt(text);
+    }
+
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Cache-Control': 'public, max-age=3600',
+    });
+    res.send(vtt);
+  } catch (error) {
+    logger.error('Error converting subtitles', { url: target.href, error: error.message });
+    res.status(502).json({ error: 'Failed to fetch subtitles' });
+  }
+});
+
+export default router;
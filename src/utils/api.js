@@ -0,0 +1,58 @@
+/**
+ * Machine-readable error codes returned by the JSON API.
+ */
+export const ErrorCodes = {
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  UNKNOWN_SERVER: 'UNKNOWN_SERVER',
+  EPISODE_NOT_FOUND: 'EPISODE_NOT_FOUND',
+  NO_SOURCES: 'NO_SOURCES',
+  SERVER_UNAVAILABLE: 'SERVER_UNAVAILABLE',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  UPSTREAM_BLOCKED: 'UPSTREAM_BLOCKED',
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  FORBIDDEN: 'FORBIDDEN',
+  EMBED_BLOCKED: 'EMBED_BLOCKED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+/**
+ * An error that maps directly onto a JSON API error response.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - One of `ErrorCodes`
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra machine-readable context
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The error body every JSON endpoint uses:
+ * `{ error: { code, message, details? } }`.
+ * @param {{ code: string, message: string, details?: Object }} error
+ */
+export function errorBody({ code, message, details }) {
+  return { error: details ? { code, message, details } : { code, message } };
+}
+
+/**
+ * @param {import('express').Response} res
+ * @param {ApiError} error
+ */
+export function sendError(res, error) {
+  return res.status(error.status).json(errorBody(error));
+}
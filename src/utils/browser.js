@@ -0,0 +1,219 @@
+import logger from './logger.js';
+import { playlistToSources } from './playlist.js';
+import { UpstreamTimeout } from './errors.js';
+
+// Browsers kept alive at once; extra requests queue for a free one
+const POOL_SIZE = Number(process.env.BROWSER_POOL_SIZE) || 2;
+// Budget for loading an embed and waiting for its player to request a playlist
+const PAGE_TIMEOUT_MS = Number(process.env.BROWSER_PAGE_TIMEOUT_MS) || 20000;
+// Browsers unused for this long are closed
+const IDLE_MS = Number(process.env.BROWSER_IDLE_MS) || 60000;
+// Pages a browser serves before it is replaced, so leaks cannot pile up
+const MAX_USES = Number(process.env.BROWSER_MAX_USES) || 50;
+// Embed pages are untrusted and full of ad scripts, so Chromium keeps its
+// sandbox unless a container that cannot provide one opts out
+const NO_SANDBOX = process.env.BROWSER_NO_SANDBOX === 'true';
+
+const PLAYLIST = /\.m3u8(\?|$)/i;
+
+let puppeteerPromise;
+const slots = [];
+const waiting = [];
+
+/**
+ * Whether an operator enabled the browser fallback for a server through
+ * `BROWSER_FALLBACK` (comma separated server ids). Off by default since
+ * every browser is a full Chromium process.
+ * @param {string} server
+ * @returns {boolean}
+ */
+export function browserFallbackEnabled(server) {
+  return String(process.env.BROWSER_FALLBACK || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .includes(server);
+}
+
+// Loaded lazily so instances that never use the fallback never pay for it
+function loadPuppeteer() {
+  puppeteerPromise ??= Promise.all([
+    import('puppeteer-extra'),
+    import('puppeteer-extra-plugin-stealth'),
+  ]).then(([{ default: puppeteer }, { default: StealthPlugin }]) => {
+    puppeteer.use(StealthPlugin());
+    return puppeteer;
+  });
+  return puppeteerPromise;
+}
+
+function createSlot() {
+  const slot = {
+    browser: loadPuppeteer().then(puppeteer => puppeteer.launch({
+      headless: true,
+      args: [...(NO_SANDBOX ? ['--no-sandbox'] : []), '--disable-dev-shm-usage'],
+    })),
+    uses: 0,
+    busy: true,
+    idleTimer: null,
+  };
+  // Surfaced to whoever uses the slot; this only stops an unhandled rejection
+  slot.browser.catch(() => {});
+  slots.push(slot);
+  return slot;
+}
+
+function retire(slot) {
+  clearTimeout(slot.idleTimer);
+  const index = slots.indexOf(slot);
+  if (index !== -1) slots.splice(index, 1);
+  slot.browser.then(browser => browser.close()).catch(() => {});
+}
+
+async function acquire() {
+  let slot = slots.find(entry => !entry.busy);
+  if (slot) {
+    slot.busy = true;
+  } else if (slots.length < POOL_SIZE) {
+    slot = createSlot();
+  } else {
+    slot = await new Promise(resolve => waiting.push(resolve));
+  }
+  clearTimeout(slot.idleTimer);
+  slot.uses += 1;
+  return slot;
+}
+
+function release(slot, broken) {
+  if (broken || slot.uses >= MAX_USES) retire(slot);
+
+  const next = waiting.shift();
+  if (next) {
+    next(slots.includes(slot) ? slot : createSlot());
+    return;
+  }
+  if (!slots.includes(slot)) return;
+
+  slot.busy = false;
+  slot.idleTimer = setTimeout(() => retire(slot), IDLE_MS);
+  slot.idleTimer.unref();
+}
+
+// Runs inside the page: the sources the embed's player ended up with
+function readPlayerConfig() {
+  try {
+    if (typeof window.jwplayer === 'function') {
+      const item = window.jwplayer().getPlaylistItem?.();
+      if (item) {
+        return {
+          sources: item.sources || [{ file: item.file }],
+          tracks: item.tracks || [],
+        };
+      }
+    }
+  } catch (err) {
+    // Not a JW Player embed after all
+  }
+  const video = document.querySelector('video');
+  if (video && video.currentSrc && !video.currentSrc.startsWith('blob:')) {
+    return { sources: [{ file: video.currentSrc }], tracks: [] };
+  }
+  return null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load an embed in a pooled headless browser and record the HLS playlists
+ * its player requests, plus the player's final source config.
+ * @param {string} embedUrl
+ * @param {Object} [options]
+ * @param {string} [options.referer] - Referer the embed expects
+ * @param {number} [options.timeout]
+ * @returns {Promise<{ playlists: string[], config: { sources: Object[], tracks: Object[] }|null, userAgent: string }>}
+ */
+export async function capturePlayer(embedUrl, { referer, timeout = PAGE_TIMEOUT_MS } = {}) {
+  const slot = await acquire();
+  const deadline = Date.now() + timeout;
+  let page;
+  let broken = false;
+
+  try {
+    const browser = await slot.browser;
+    page = await browser.newPage();
+
+    const playlists = [];
+    let playlistSeen;
+    const firstPlaylist = new Promise(resolve => { playlistSeen = resolve; });
+    page.on('request', request => {
+      const url = request.url();
+      if (PLAYLIST.test(url) && !playlists.includes(url)) {
+        playlists.push(url);
+        playlistSeen();
+      }
+    });
+
+    if (referer) await page.setExtraHTTPHeaders({ Referer: referer });
+    await page.goto(embedUrl, { waitUntil: 'domcontentloaded', timeout });
+
+    await Promise.race([firstPlaylist, sleep(Math.min(3000, deadline - Date.now()))]);
+    if (!playlists.length) {
+      // Many players only fetch their playlist once they are clicked
+      await page.click('video, .jw-video, body').catch(() => {});
+      await Promise.race([firstPlaylist, sleep(Math.max(0, deadline - Date.now()))]);
+    }
+
+    const config = await page.evaluate(readPlayerConfig).catch(() => null);
+    return { playlists, config, userAgent: await browser.userAgent() };
+  } catch (error) {
+    // A crashed or disconnected browser is replaced rather than reused
+    broken = !(await slot.browser.then(browser => browser.connected, () => false));
+    if (error.name === 'TimeoutError') {
+      throw new UpstreamTimeout(`Embed did not load within ${timeout}ms`, { cause: error });
+    }
+    throw error;
+  } finally {
+    await page?.close().catch(() => {});
+    release(slot, broken);
+  }
+}
+
+/**
+ * Raw sources for an embed, read from what its player does in a real
+ * browser: the captured master playlist expanded into its variants, plus
+ * any direct files and caption tracks from the player config.
+ * @param {string} embedUrl
+ * @param {Object} [options]
+ * @param {string} [options.referer] - Referer the embed expects
+ * @param {import('axios').AxiosInstance} options.client - Provider's upstream client
+ * @returns {Promise<Object[]>} Raw sources, ready for `normalizeSource`
+ */
+export async function browserSources(embedUrl, { referer, client }) {
+  const { playlists, config, userAgent } = await capturePlayer(embedUrl, { referer });
+  const headers = { Referer: embedUrl, 'User-Agent': userAgent };
+
+  const subtitles = (config?.tracks || [])
+    .filter(track => track.file && /captions|subtitles/i.test(track.kind || ''))
+    .map(track => ({ url: new URL(track.file, embedUrl).href, lang: track.label || 'Unknown', headers }));
+
+  const configFiles = (config?.sources || [])
+    .map(source => source.file && new URL(source.file, embedUrl).href)
+    .filter(Boolean);
+  const master = playlists[0] || configFiles.find(file => PLAYLIST.test(file));
+
+  const sources = [];
+  if (master) {
+    sources.push({ url: master, quality: null, isM3U8: true, headers, subtitles });
+    try {
+      const { data } = await client.get(master, { headers });
+      sources.push(...playlistToSources(data, master, { headers, subtitles }));
+    } catch (error) {
+      logger.warn('Failed to expand captured playlist', { url: master, error: error.message });
+    }
+  }
+  for (const file of configFiles.filter(file => !PLAYLIST.test(file))) {
+    sources.push({ url: file, quality: null, isM3U8: false, headers, subtitles });
+  }
+
+  logger.info('Browser extraction finished', { embedUrl, playlists: playlists.length, sources: sources.length });
+  return sources;
+}
@@ -0,0 +1,148 @@
+import NodeCache from 'node-cache';
+import { getCache, setCache, delCache } from './redis.js';
+import logger from './logger.js';
+import { coalesce } from './singleflight.js';
+
+// Freshness per kind of entry, in seconds
+export const TTL = {
+  // Embed iframe src for an episode page; changes rarely
+  iframe: Number(process.env.CACHE_TTL_IFRAME) || 24 * 60 * 60,
+  // Resolved stream URLs for one server; upstream URLs are signed and expire
+  sources: Number(process.env.CACHE_TTL_SOURCES) || 60 * 60,
+  // Sources of every server for an episode, as returned by /sources
+  sourcesMap: Number(process.env.CACHE_TTL_SOURCES_MAP) || 30 * 60,
+  // GogoCDN AES keys discovered from an embed host; re-discovered on failure
+  cryptoKeys: Number(process.env.CACHE_TTL_CRYPTO_KEYS) || 6 * 60 * 60,
+  // MegaCloud key index pairs per player script hash; a new script gets a new hash
+  megacloudKeys: Number(process.env.CACHE_TTL_MEGACLOUD_KEYS) || 7 * 24 * 60 * 60,
+  // Previous/next episode of an episode; short so a newly aired episode shows up
+  episodes: Number(process.env.CACHE_TTL_EPISODES) || 60 * 60,
+};
+
+// How long past its TTL an entry may still be served while it is refreshed
+const STALE_TTL = Number(process.env.CACHE_STALE_TTL) || 10 * 60;
+
+// L1: in-process, survives Redis outages. Entries are shared, not cloned.
+const local = new NodeCache({ useClones: false, checkperiod: 120 });
+
+/**
+ * @typedef {Object} Entry
+ * @property {*} value
+ * @property {number} expiresAt - Epoch ms after which the value is stale
+ * @property {number} staleUntil - Epoch ms after which the value is dropped
+ */
+
+const fullKey = (type, key) => `${type}:${key}`;
+
+const readEntry = async (type, key) => {
+  const id = fullKey(type, key);
+  const cached = local.get(id);
+  if (cached) return cached;
+
+  /** @type {Entry|null} */
+  const entry = await getCache(id);
+  if (!entry || typeof entry.staleUntil !== 'number') return null;
+
+  const remaining = Math.floor((entry.staleUntil - Date.now()) / 1000);
+  if (remaining <= 0) return null;
+  local.set(id, entry, remaining);
+  return entry;
+};
+
+/**
+ * Read a cached value, fresh or stale.
+ * @param {keyof TTL} type
+ * @param {string} key
+ * @returns {Promise<*|null>}
+ */
+export const getCached = async (type, key) => {
+  const entry = await readEntry(type, key);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Store a value in both tiers. `value` is any JSON-serializable value;
+ * it is serialized exactly once, by redis.js.
+ * @param {keyof TTL} type
+ * @param {string} key
+ * @param {*} value
+ */
+export const setCached = async (type, key, value) => {
+  const ttl = TTL[type];
+  const now = Date.now();
+  /** @type {Entry} */
+  const entry = {
+    value,
+    expiresAt: now + ttl * 1000,
+    staleUntil: now + (ttl + STALE_TTL) * 1000,
+  };
+  const id = fullKey(type, key);
+  local.set(id, entry, ttl + STALE_TTL);
+  await setCache(id, entry, ttl + STALE_TTL);
+};
+
+/**
+ * @param {keyof TTL} type
+ * @param {string} key
+ */
+export const deleteCached = async (type, key) => {
+  const id = fullKey(type, key);
+  local.del(id);
+  await delCache(id);
+};
+
+// Fresh value straight from Redis, for instances waiting on another's
+// refresh; with `writtenAfter`, only one stored since then. Copied into L1,
+// which would otherwise keep serving this instance's stale entry.
+const readFresh = async (type, key, writtenAfter = 0) => {
+  const id = fullKey(type, key);
+  /** @type {Entry|null} */
+  const entry = await getCache(id);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  if (entry.expiresAt - TTL[type] * 1000 < writtenAfter) return null;
+  local.set(id, entry, Math.max(1, Math.floor((entry.staleUntil - Date.now()) / 1000)));
+  return entry.value;
+};
+
+// Only one loader per key runs at a time, in this process and across
+// instances. A forced refresh ignores entries stored before it began.
+const refresh = (type, key, loader, shouldCache, force = false) => {
+  const writtenAfter = force ? Date.now() : 0;
+  return coalesce(fullKey(type, key), async () => {
+    const value = await loader();
+    if (value !== null && value !== undefined && shouldCache(value)) {
+      await setCached(type, key, value);
+    }
+    return value;
+  }, () => readFresh(type, key, writtenAfter));
+};
+
+/**
+ * Stale-while-revalidate read. Fresh entries are returned as is; stale
+ * entries are returned immediately while `loader` refreshes them in the
+ * background; misses wait on `loader`. Concurrent misses for the same key
+ * share a single `loader` call.
+ * @template T
+ * @param {keyof TTL} type
+ * @param {string} key
+ * @param {() => Promise<T>} loader
+ * @param {Object} [options]
+ * @param {(value: T) => boolean} [options.shouldCache] - Skip caching partial results
+ * @param {boolean} [options.force] - Reload even a fresh entry, to warm it ahead of expiry
+ * @returns {Promise<T>}
+ */
+export const cached = async (type, key, loader, { shouldCache = () => true, force = false } = {}) => {
+  if (force) return refresh(type, key, loader, shouldCache, true);
+
+  const entry = await readEntry(type, key);
+
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  if (entry) {
+    refresh(type, key, loader, shouldCache)
+      .catch(err => logger.warn('Background cache refresh failed', { key: fullKey(type, key), error: err.message }));
+    return entry.value;
+  }
+
+  return refresh(type, key, loader, shouldCache);
+};
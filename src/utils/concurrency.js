@@ -0,0 +1,26 @@
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight, in order
+ * of `items`. Resolves once every call has settled; a failing call does not
+ * stop the rest, so workers handle their own errors.
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<void>} worker
+ * @param {Object} [options]
+ * @param {() => boolean} [options.cancelled] - Checked before each item is started
+ * @returns {Promise<void>}
+ */
+export async function forEachLimit(items, limit, worker, { cancelled = () => false } = {}) {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length && !cancelled()) {
+      const index = next++;
+      try {
+        await worker(items[index], index);
+      } catch (err) {
+        // Reported by the worker itself
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+}
@@ -0,0 +1,149 @@
+import logger from './logger.js';
+import { cached } from './cache.js';
+import { servers } from './providers.js';
+import { getEpisode, getSourcesMap } from './resolver.js';
+import { EpisodeNotFound } from './errors.js';
+
+// Gogoanime episode ids: `<slug>-episode-<n>`
+const EPISODE_ID = /^(.+)-episode-(\d+)$/;
+// Dubbed episodes live under their own slug, `<slug>-dub-episode-<n>`
+const DUB_SUFFIX = '-dub';
+
+export const LANGUAGES = ['sub', 'dub'];
+
+/**
+ * @typedef {Object} EpisodeRef
+ * @property {string} id
+ * @property {number} number
+ */
+
+/**
+ * @param {string} episodeId
+ * @returns {{ slug: string, number: number }|null} `null` for ids outside the pattern
+ */
+export function parseEpisodeId(episodeId) {
+  const match = EPISODE_ID.exec(episodeId);
+  return match ? { slug: match[1], number: Number(match[2]) } : null;
+}
+
+/**
+ * Whether Gogoanime has a page for an episode, read through GogoCDN's
+ * cached embed lookup so a later play of it starts warm.
+ * @param {string} episodeId
+ * @returns {Promise<boolean|null>} `null` when it could not be told
+ */
+async function episodeExists(episodeId) {
+  const gogocdn = servers.gogocdn;
+  if (!gogocdn) return null;
+  try {
+    await gogocdn.getIframeSrc(episodeId);
+    return true;
+  } catch (error) {
+    if (error instanceof EpisodeNotFound) return false;
+    // The page is there, it just has no embed
+    if (error.status === 404) return true;
+    logger.warn('Could not check whether an episode exists', { episodeId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Previous and next episode of an episode, each only if it exists.
+ * Results are only cached when both checks gave a definite answer.
+ * @param {string} episodeId
+ * @returns {Promise<{ episodeId: string, number: number|null, previous: EpisodeRef|null, next: EpisodeRef|null }>}
+ */
+export function getNeighbours(episodeId) {
+  const parsed = parseEpisodeId(episodeId);
+  if (!parsed) return Promise.resolve({ episodeId, number: null, previous: null, next: null });
+
+  let definite = true;
+  const check = async (number) => {
+    if (number < 1) return null;
+    const ref = { id: `${parsed.slug}-episode-${number}`, number };
+    const exists = await episodeExists(ref.id);
+    if (exists === null) definite = false;
+    return exists ? ref : null;
+  };
+
+  return cached('episodes', `neighbours:${episodeId}`, async () => {
+    const [previous, next] = await Promise.all([check(parsed.number - 1), check(parsed.number + 1)]);
+    return { episodeId, number: parsed.number, previous, next };
+  }, { shouldCache: () => definite });
+}
+
+/**
+ * @param {string} episodeId
+ * @returns {'sub'|'dub'}
+ */
+export function episodeLanguage(episodeId) {
+  return parseEpisodeId(episodeId)?.slug.endsWith(DUB_SUFFIX) ? 'dub' : 'sub';
+}
+
+/**
+ * The sub and dub ids of an episode, whichever one is given.
+ * @param {string} episodeId
+ * @returns {{ sub: string, dub: string }|null} `null` for ids outside the pattern
+ */
+export function languageVariants(episodeId) {
+  const parsed = parseEpisodeId(episodeId);
+  if (!parsed) return null;
+  const slug = parsed.slug.endsWith(DUB_SUFFIX) ? parsed.slug.slice(0, -DUB_SUFFIX.length) : parsed.slug;
+  return {
+    sub: `${slug}-episode-${parsed.number}`,
+    dub: `${slug}${DUB_SUFFIX}-episode-${parsed.number}`,
+  };
+}
+
+/**
+ * Which language versions of an episode exist. The given id is taken to
+ * exist; the other one is checked upstream.
+ * @param {string} episodeId
+ * @returns {Promise<{ sub: string|null, dub: string|null }>}
+ */
+export function getLanguageVariants(episodeId) {
+  const variants = languageVariants(episodeId);
+  const language = episodeLanguage(episodeId);
+  if (!variants) return Promise.resolve({ sub: episodeId, dub: null });
+
+  const other = language === 'sub' ? 'dub' : 'sub';
+  let definite = true;
+  return cached('episodes', `languages:${episodeId}`, async () => {
+    const exists = await episodeExists(variants[other]);
+    if (exists === null) definite = false;
+    return { [language]: episodeId, [other]: exists ? variants[other] : null };
+  }, { shouldCache: () => definite });
+}
+
+/**
+ * Every server's sources for each language version of an episode, as
+ * `/sources` returns them. Languages that do not exist are left out.
+ * @param {string} episodeId
+ * @returns {Promise<Object<string, { episodeId: string, servers: Object }>>}
+ */
+export async function getSourcesByLanguage(episodeId) {
+  const variants = await getLanguageVariants(episodeId);
+  const groups = await Promise.all(LANGUAGES.filter(language => variants[language]).map(async language => [
+    language,
+    { episodeId: variants[language], servers: await getSourcesMap(variants[language]) },
+  ]));
+  return Object.fromEntries(groups);
+}
+
+/**
+ * Resolve the next episode's sources in the background so it starts from
+ * cache. Failures are only logged.
+ * @param {string} episodeId - Episode being watched
+ * @param {string} server - Server it is being played from
+ * @param {string} [fallback] - The page's `?fallback=`, which the next page keeps
+ * @returns {Promise<EpisodeRef|null>} The episode being warmed, if there is one
+ */
+export async function prefetchNext(episodeId, server, fallback) {
+  const { next } = await getNeighbours(episodeId);
+  if (!next) return null;
+
+  getEpisode(server, next.id, fallback)
+    .then(() => logger.info('Prefetched next episode', { episodeId: next.id, server }))
+    .catch(error => logger.warn('Failed to prefetch next episode', { episodeId: next.id, server, error: error.message }));
+  return next;
+}
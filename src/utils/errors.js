@@ -0,0 +1,101 @@
+import { ApiError, ErrorCodes } from './api.js';
+
+/**
+ * Base class for everything an extractor can fail with. Each subclass has a
+ * fixed HTTP status and error code, and keeps the underlying error as
+ * `cause` so nothing is lost when it is logged.
+ */
+export class ExtractorError extends ApiError {
+  static status = 502;
+  static code = ErrorCodes.UPSTREAM_ERROR;
+  static defaultMessage = 'Failed to get episode sources';
+  // Whether the failure says something about the provider's health, as
+  // opposed to the episode simply not being available there
+  static providerFault = true;
+
+  /**
+   * @param {string} [message]
+   * @param {Object} [options]
+   * @param {unknown} [options.cause] - Underlying error
+   * @param {string} [options.server] - Server id the failure came from
+   */
+  constructor(message, { cause, server } = {}) {
+    const { status, code, defaultMessage } = new.target;
+    super(status, code, message || defaultMessage, server ? { server } : undefined);
+    this.name = new.target.name;
+    this.cause = cause;
+    this.server = server;
+    this.providerFault = new.target.providerFault;
+  }
+}
+
+export class EpisodeNotFound extends ExtractorError {
+  static status = 404;
+  static code = ErrorCodes.EPISODE_NOT_FOUND;
+  static defaultMessage = 'This episode could not be found';
+  static providerFault = false;
+}
+
+export class NoSourcesFound extends ExtractorError {
+  static status = 404;
+  static code = ErrorCodes.NO_SOURCES;
+  static defaultMessage = 'No sources found';
+  static providerFault = false;
+}
+
+export class UpstreamBlocked extends ExtractorError {
+  static status = 502;
+  static code = ErrorCodes.UPSTREAM_BLOCKED;
+  static defaultMessage = 'The video host is blocking our requests right now';
+}
+
+export class DecryptionFailed extends ExtractorError {
+  static status = 502;
+  static code = ErrorCodes.DECRYPTION_FAILED;
+  static defaultMessage = 'Failed to decrypt the video sources';
+}
+
+export class UpstreamTimeout extends ExtractorError {
+  static status = 504;
+  static code = ErrorCodes.UPSTREAM_TIMEOUT;
+  static defaultMessage = 'The video host took too long to respond';
+}
+
+function isCloudflareChallenge(response) {
+  const server = String(response.headers?.server || '').toLowerCase();
+  const body = typeof response.data === 'string' ? response.data : '';
+  return server.includes('cloudflare') && /just a moment|cf-chl|challenge-platform/i.test(body);
+}
+
+/**
+ * Classify a failed upstream request (axios error or anything else) into
+ * the extractor taxonomy. Errors that are already classified pass through.
+ * @param {unknown} error
+ * @param {Object} [options]
+ * @param {string} [options.server]
+ * @param {string} [options.message] - Message for the generic fallback
+ * @returns {ExtractorError|ApiError}
+ */
+export function classifyError(error, { server, message } = {}) {
+  if (error instanceof ApiError) {
+    if (error instanceof ExtractorError && server && !error.server) {
+      error.server = server;
+      error.details = { ...error.details, server };
+    }
+    return error;
+  }
+
+  const options = { cause: error, server };
+  const response = error?.response;
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new UpstreamTimeout(undefined, options);
+  }
+  if (response) {
+    if (response.status === 404) return new EpisodeNotFound(undefined, options);
+    if (response.status === 403 || response.status === 429 || isCloudflareChallenge(response)) {
+      return new UpstreamBlocked(undefined, options);
+    }
+  }
+  return new ExtractorError(message, options);
+}
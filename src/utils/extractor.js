@@ -0,0 +1,119 @@
+import logger from './logger.js';
+import { normalizeSource } from './sources.js';
+import { EpisodeNotFound, classifyError } from './errors.js';
+import { browserFallbackEnabled, browserSources } from './browser.js';
+import { createClient } from './http.js';
+
+/**
+ * @typedef {import('./sources.js').Source} Source
+ */
+
+/**
+ * @typedef {Object} Capabilities
+ * @property {boolean} qualities - Returns one source per resolution
+ * @property {boolean} backup - Returns backup mirrors
+ * @property {boolean} subtitles - Returns subtitle tracks
+ * @property {boolean} introOutro - Returns intro/outro timestamps
+ */
+
+const defaultCapabilities = {
+  qualities: false,
+  backup: false,
+  subtitles: false,
+  introOutro: false,
+};
+
+/**
+ * Base class for every provider in `src/lib`. A provider module default
+ * exports a subclass and is picked up by the registry automatically.
+ *
+ * Subclasses implement `extractSources(episodeId)`; callers only ever use
+ * `getEpisodeSources(episodeId)`, which normalizes whatever the provider
+ * returns into the shared `Source` shape.
+ */
+class Extractor {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Registry key used in `?server=`
+   * @param {string} options.serverName - Display name
+   * @param {Partial<Capabilities>} [options.capabilities]
+   * @param {import('./http.js').HeaderProfile} [options.http] - Defaults for upstream requests
+   */
+  constructor({ id, serverName, capabilities = {}, http = {} }) {
+    this.id = id;
+    this.serverName = serverName;
+    /** @type {Capabilities} */
+    this.capabilities = { ...defaultCapabilities, ...capabilities };
+    // All upstream requests go through this: retries, timeouts, proxy, logging
+    this.http = createClient(id, http);
+    // Enabled per server with BROWSER_FALLBACK, see `withBrowserFallback`
+    this.browserFallback = browserFallbackEnabled(id);
+  }
+
+  /**
+   * Provider specific extraction. Must be implemented by subclasses.
+   * @param {string} episodeId
+   * @returns {Promise<Object[]>}
+   */
+  async extractSources(episodeId) {
+    throw new Error(`${this.serverName} does not implement extractSources`);
+  }
+
+  /**
+   * Run a provider's static extraction for an embed and, when it finds
+   * nothing or fails, load the embed in a headless browser instead. Only
+   * takes effect for servers listed in `BROWSER_FALLBACK`; a missing
+   * episode never triggers it.
+   * @param {string} embedUrl
+   * @param {() => Promise<Object[]>} extract - Static extraction
+   * @param {Object} [options]
+   * @param {string} [options.referer] - Referer the embed expects
+   * @returns {Promise<Object[]>}
+   */
+  async withBrowserFallback(embedUrl, extract, { referer } = {}) {
+    let failure;
+    try {
+      const sources = await extract();
+      if (sources.length || !this.browserFallback) return sources;
+    } catch (error) {
+      if (!this.browserFallback || error instanceof EpisodeNotFound) throw error;
+      failure = error;
+    }
+
+    try {
+      return await browserSources(embedUrl, { referer, client: this.http });
+    } catch (error) {
+      logger.warn('Browser extraction failed', { server: this.id, embedUrl, error: error.message });
+      if (failure) throw failure;
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} episodeId - Gogoanime episode slug, e.g. `one-piece-episode-1`
+   * @returns {Promise<Source[]>}
+   * @throws {import('./errors.js').ExtractorError}
+   */
+  async getEpisodeSources(episodeId) {
+    let sources;
+    try {
+      sources = await this.extractSources(episodeId);
+    } catch (error) {
+      throw classifyError(error, { server: this.id });
+    }
+    return (sources || []).filter(source => source && source.url).map(normalizeSource);
+  }
+
+  /**
+   * Public description used by `GET /servers`.
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.serverName,
+      capabilities: this.capabilities,
+    };
+  }
+}
+
+export default Extractor;
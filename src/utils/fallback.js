@@ -0,0 +1,128 @@
+import logger from './logger.js';
+import { normalizeSource } from './sources.js';
+import { servers } from './providers.js';
+import { canAttempt, track } from './health.js';
+import { ApiError, ErrorCodes } from './api.js';
+import { EpisodeNotFound, NoSourcesFound, UpstreamTimeout, classifyError } from './errors.js';
+import { createClient } from './http.js';
+
+export const CONSUMET = 'consumet';
+
+const DEFAULT_TIMEOUT = Number(process.env.SERVER_TIMEOUT_MS) || 10000;
+
+/**
+ * External Consumet API, usable only as an explicit entry in a fallback chain.
+ * Its top-level subtitles and intro/outro are copied onto every source so
+ * the result looks like any other provider's.
+ */
+const consumet = {
+  id: CONSUMET,
+  serverName: 'Consumet',
+  http: createClient(CONSUMET),
+  async getEpisodeSources(episodeId) {
+    const { data } = await this.http.get(`${process.env.CONSUMET_API}/anime/gogoanime/watch/${episodeId}`);
+    return (data.sources || []).map(source => normalizeSource({
+      ...source,
+      headers: data.headers,
+      subtitles: data.subtitles,
+      intro: data.intro,
+      outro: data.outro,
+    }));
+  },
+};
+
+function getServer(name) {
+  if (name === CONSUMET) return process.env.CONSUMET_API ? consumet : null;
+  return servers[name] || null;
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build the ordered list of servers to try: the requested server first,
+ * then the per-request `fallback` list, else `FALLBACK_SERVERS`, else every
+ * other registered server. Unknown names and duplicates are dropped.
+ * @param {string} primary - Server requested with `?server=`
+ * @param {string} [fallback] - Comma separated override from `?fallback=`
+ * @returns {string[]}
+ */
+export function buildChain(primary, fallback) {
+  const configured = fallback ?? process.env.FALLBACK_SERVERS;
+  const rest = configured !== undefined ? splitList(configured) : Object.keys(servers);
+
+  return [...new Set([primary, ...rest])].filter(name => getServer(name));
+}
+
+/**
+ * Reject if `promise` has not settled within `ms`.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} label
+ * @returns {Promise<T>}
+ */
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new UpstreamTimeout(`${label} timed out after ${ms}ms`, { server: label })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Pick the error that best explains why a whole chain failed: "not found"
+ * only if every server agreed, otherwise the first real failure.
+ * @param {ApiError[]} errors
+ * @returns {ApiError}
+ */
+function chainError(errors) {
+  if (errors.length === 0) return new NoSourcesFound();
+  if (errors.every(error => error.status === 404)) {
+    return errors.find(error => error instanceof EpisodeNotFound) || errors[0];
+  }
+  return errors.find(error => error.status !== 404);
+}
+
+/**
+ * Try each server in the chain until one returns sources. Servers whose
+ * circuit is open are skipped without waiting on them.
+ * @param {string} episodeId
+ * @param {string[]} chain - Output of `buildChain`
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @returns {Promise<{ server: string|null, sources: import('./sources.js').Source[], attempts: Array<{ server: string, code: string, error: string }>, error?: ApiError }>}
+ */
+export async function resolveWithFallback(episodeId, chain, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const attempts = [];
+  const errors = [];
+
+  for (const name of chain) {
+    const server = getServer(name);
+    let failure;
+
+    if (!(await canAttempt(name))) {
+      failure = new ApiError(503, ErrorCodes.SERVER_UNAVAILABLE, 'Server temporarily unavailable', { server: name });
+    } else {
+      try {
+        const sources = await track(name, () => withTimeout(server.getEpisodeSources(episodeId), timeout, name));
+        if (sources && sources.length) {
+          return { server: name, sources, attempts };
+        }
+        failure = new NoSourcesFound(undefined, { server: name });
+      } catch (error) {
+        failure = classifyError(error, { server: name });
+      }
+    }
+
+    errors.push(failure);
+    attempts.push({ server: name, code: failure.code, error: failure.message });
+    logger.warn('Server failed, trying next in chain', { server: name, episodeId, code: failure.code, error: failure.message });
+  }
+
+  return { server: null, sources: [], attempts, error: chainError(errors) };
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import logger from './logger.js';
+
+// `record` saves every upstream response, `replay` serves them back offline
+const MODE = process.env.HTTP_FIXTURES;
+const FIXTURES_DIR = path.resolve(process.env.HTTP_FIXTURES_DIR || 'fixtures/http');
+
+// Never written to disk
+const SKIPPED_HEADERS = ['set-cookie'];
+
+/**
+ * @typedef {Object} Fixture
+ * @property {{ method: string, url: string }} request
+ * @property {{ status: number, statusText: string, headers: Object<string, string>, data: string }} response
+ */
+
+function fixturePath(provider, method, url) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 16);
+  return path.join(FIXTURES_DIR, provider, `${method}-${hash}.json`);
+}
+
+function requestKey(config) {
+  const method = (config.method || 'get').toUpperCase();
+  return { method, url: axios.getUri(config) };
+}
+
+async function save(provider, response) {
+  const { method, url } = requestKey(response.config);
+  const headers = {};
+  for (const [name, value] of Object.entries(AxiosHeaders.from(response.headers).toJSON())) {
+    if (!SKIPPED_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+  }
+
+  /** @type {Fixture} */
+  const fixture = {
+    request: { method, url },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      data: typeof response.data === 'string' ? response.data : Buffer.from(response.data).toString('utf8'),
+    },
+  };
+
+  const file = fixturePath(provider, method, url);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  logger.debug('Recorded fixture', { provider, method, url, file });
+}
+
+function recordAdapter(provider) {
+  const send = axios.getAdapter(axios.defaults.adapter);
+  return async config => {
+    try {
+      const response = await send(config);
+      await save(provider, response);
+      return response;
+    } catch (error) {
+      // Error statuses are part of the traffic too
+      if (error.response) await save(provider, error.response);
+      throw error;
+    }
+  };
+}
+
+function replayAdapter(provider) {
+  return async config => {
+    const { method, url } = requestKey(config);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(fixturePath(provider, method, url), 'utf8'));
+    } catch (err) {
+      throw new AxiosError(`No recorded fixture for ${method} ${url}`, 'ERR_FIXTURE_MISSING', config);
+    }
+
+    const request = { fixture: true };
+    const response = {
+      ...fixture.response,
+      headers: new AxiosHeaders(fixture.response.headers),
+      config,
+      request,
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+      throw new AxiosError(`Request failed with status code ${response.status}`, code, config, request, response);
+    }
+    return response;
+  };
+}
+
+/**
+ * Axios adapter for `HTTP_FIXTURES`: `record` passes requests through and
+ * saves each response under `HTTP_FIXTURES_DIR/<provider>/`, `replay`
+ * answers from those files without touching the network. Fixtures are
+ * keyed by method and full URL.
+ * @param {string} provider
+ * @returns {Function|undefined} `undefined` when fixtures are off
+ */
+export function fixtureAdapter(provider) {
+  if (MODE === 'record') return recordAdapter(provider);
+  if (MODE === 'replay') return replayAdapter(provider);
+  if (MODE) logger.warn('Unknown HTTP_FIXTURES mode, ignoring it', { mode: MODE });
+  return undefined;
+}
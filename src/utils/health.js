@@ -0,0 +1,211 @@
+import { getRedisClient } from './redis.js';
+import logger from './logger.js';
+
+// Consecutive failures that open a server's circuit
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+// How long an open circuit skips the server before letting a probe through
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 60000;
+
+const KEY_PREFIX = 'health:';
+
+// Used whenever Redis is unavailable, so the breaker keeps working per instance
+const localStats = new Map();
+const localProbes = new Map();
+
+function emptyStats() {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latencyTotal: 0,
+    lastLatency: 0,
+    lastError: '',
+    lastSuccessAt: 0,
+    lastFailureAt: 0,
+    openedAt: 0,
+  };
+}
+
+function parseStats(hash) {
+  const stats = emptyStats();
+  for (const [field, value] of Object.entries(hash || {})) {
+    if (!(field in stats)) continue;
+    stats[field] = field === 'lastError' ? value : Number(value) || 0;
+  }
+  return stats;
+}
+
+async function readStats(server) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      return parseStats(await redis.hGetAll(`${KEY_PREFIX}${server}`));
+    } catch (err) {
+      logger.warn('Falling back to local health stats', { server, error: err.message });
+    }
+  }
+  return { ...(localStats.get(server) || emptyStats()) };
+}
+
+function stateOf(stats, now = Date.now()) {
+  if (!stats.openedAt) return 'closed';
+  return now - stats.openedAt < COOLDOWN_MS ? 'open' : 'half-open';
+}
+
+/**
+ * Record a successful extraction and close the server's circuit.
+ * @param {string} server
+ * @param {number} latency - Milliseconds the attempt took
+ */
+export async function recordSuccess(server, latency) {
+  const now = Date.now();
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const key = `${KEY_PREFIX}${server}`;
+      await redis.multi()
+        .hIncrBy(key, 'successes', 1)
+        .hIncrBy(key, 'latencyTotal', Math.round(latency))
+        .hSet(key, { lastLatency: Math.round(latency), lastSuccessAt: now, consecutiveFailures: 0, openedAt: 0 })
+        .del(`${key}:probe`)
+        .exec();
+      return;
+    } catch (err) {
+      logger.warn('Failed to record health in Redis', { server, error: err.message });
+    }
+  }
+
+  const stats = localStats.get(server) || emptyStats();
+  stats.successes += 1;
+  stats.latencyTotal += Math.round(latency);
+  stats.lastLatency = Math.round(latency);
+  stats.lastSuccessAt = now;
+  stats.consecutiveFailures = 0;
+  stats.openedAt = 0;
+  localStats.set(server, stats);
+  localProbes.delete(server);
+}
+
+/**
+ * Record a failed extraction, opening the circuit once the server has
+ * failed `BREAKER_FAILURE_THRESHOLD` times in a row. A failed half-open
+ * probe re-opens it for another cooldown.
+ * @param {string} server
+ * @param {number} latency - Milliseconds the attempt took
+ * @param {string} error - Failure reason
+ */
+export async function recordFailure(server, latency, error) {
+  const now = Date.now();
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const key = `${KEY_PREFIX}${server}`;
+      const [, , consecutive] = await redis.multi()
+        .hIncrBy(key, 'failures', 1)
+        .hIncrBy(key, 'latencyTotal', Math.round(latency))
+        .hIncrBy(key, 'consecutiveFailures', 1)
+        .hSet(key, { lastLatency: Math.round(latency), lastFailureAt: now, lastError: error })
+        .del(`${key}:probe`)
+        .exec();
+      if (Number(consecutive) >= FAILURE_THRESHOLD) {
+        await redis.hSet(key, 'openedAt', now);
+        logger.warn('Circuit opened', { server, consecutiveFailures: Number(consecutive) });
+      }
+      return;
+    } catch (err) {
+      logger.warn('Failed to record health in Redis', { server, error: err.message });
+    }
+  }
+
+  const stats = localStats.get(server) || emptyStats();
+  stats.failures += 1;
+  stats.latencyTotal += Math.round(latency);
+  stats.consecutiveFailures += 1;
+  stats.lastLatency = Math.round(latency);
+  stats.lastFailureAt = now;
+  stats.lastError = error;
+  if (stats.consecutiveFailures >= FAILURE_THRESHOLD) {
+    stats.openedAt = now;
+    logger.warn('Circuit opened', { server, consecutiveFailures: stats.consecutiveFailures });
+  }
+  localStats.set(server, stats);
+  localProbes.delete(server);
+}
+
+/**
+ * Whether a request may use this server right now. Closed circuits always
+ * allow it, open ones never do, and a half-open circuit lets exactly one
+ * probe through (across all instances when Redis is up).
+ * @param {string} server
+ * @returns {Promise<boolean>}
+ */
+export async function canAttempt(server) {
+  const stats = await readStats(server);
+  const state = stateOf(stats);
+  if (state === 'closed') return true;
+  if (state === 'open') return false;
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const acquired = await redis.set(`${KEY_PREFIX}${server}:probe`, '1', { NX: true, PX: COOLDOWN_MS });
+      return acquired === 'OK';
+    } catch (err) {
+      logger.warn('Failed to acquire probe lock', { server, error: err.message });
+    }
+  }
+
+  const probeStartedAt = localProbes.get(server);
+  if (probeStartedAt && Date.now() - probeStartedAt < COOLDOWN_MS) return false;
+  localProbes.set(server, Date.now());
+  return true;
+}
+
+/**
+ * Run an extraction for `server`, recording its outcome and latency.
+ * Errors that only mean the episode is missing on that server (episode
+ * not found, no sources) count as the server being healthy.
+ * @template T
+ * @param {string} server
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function track(server, fn) {
+  const startedAt = Date.now();
+  try {
+    const result = await fn();
+    await recordSuccess(server, Date.now() - startedAt);
+    return result;
+  } catch (error) {
+    if (error.providerFault === false) {
+      await recordSuccess(server, Date.now() - startedAt);
+    } else {
+      await recordFailure(server, Date.now() - startedAt, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Current circuit state and counters for each server.
+ * @param {string[]} names
+ */
+export async function getHealthReport(names) {
+  const report = {};
+  for (const name of names) {
+    const stats = await readStats(name);
+    const attempts = stats.successes + stats.failures;
+    report[name] = {
+      state: stateOf(stats),
+      successes: stats.successes,
+      failures: stats.failures,
+      consecutiveFailures: stats.consecutiveFailures,
+      averageLatencyMs: attempts ? Math.round(stats.latencyTotal / attempts) : null,
+      lastLatencyMs: attempts ? stats.lastLatency : null,
+      lastError: stats.lastError || null,
+      lastSuccessAt: stats.lastSuccessAt ? new Date(stats.lastSuccessAt).toISOString() : null,
+      lastFailureAt: stats.lastFailureAt ? new Date(stats.lastFailureAt).toISOString() : null,
+    };
+  }
+  return report;
+}
@@ -0,0 +1,149 @@
+import axios from 'axios';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import logger from './logger.js';
+import { DEFAULT_USER_AGENT } from './proxy.js';
+import { fixtureAdapter } from './fixtures.js';
+
+// Per-request timeout unless a profile sets its own
+const TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS) || 10000;
+// Retries after the first attempt for 5xx and 429 responses
+const MAX_RETRIES = process.env.HTTP_RETRIES !== undefined ? Number(process.env.HTTP_RETRIES) : 2;
+// First backoff delay; doubles on every retry
+const RETRY_BASE_MS = Number(process.env.HTTP_RETRY_BASE_MS) || 300;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Only these are safe to send again without side effects
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+export const USER_AGENTS = [
+  DEFAULT_USER_AGENT,
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:126.0) Gecko/20100101 Firefox/126.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36 Edg/125.0.0.0',
+];
+
+/**
+ * @returns {string} One of `USER_AGENTS`
+ */
+export function randomUserAgent() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+/**
+ * Outbound proxy for a provider: `UPSTREAM_PROXY_<ID>` if set, else
+ * `UPSTREAM_PROXY`. `direct` opts a provider out of the global proxy.
+ * @param {string} provider
+ * @returns {string|null} Proxy URL (`http:`, `https:`, `socks4:` or `socks5:`)
+ */
+export function proxyFor(provider) {
+  const value = process.env[`UPSTREAM_PROXY_${provider.toUpperCase()}`] ?? process.env.UPSTREAM_PROXY;
+  if (!value || value === 'direct') return null;
+  return value;
+}
+
+function createAgent(proxy) {
+  const { protocol } = new URL(proxy);
+  if (protocol.startsWith('socks')) return new SocksProxyAgent(proxy);
+  if (protocol === 'http:' || protocol === 'https:') return new HttpsProxyAgent(proxy);
+  throw new Error(`Unsupported proxy protocol: ${protocol}`);
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Exponential backoff with jitter, or the upstream's Retry-After when it sends one
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers?.['retry-after']);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  return Math.min(RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS, MAX_RETRY_DELAY_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} HeaderProfile
+ * @property {Object<string, string>} [headers] - Sent with every request, e.g. `Referer`, `Origin`
+ * @property {string} [userAgent] - Fixed agent, or `'rotate'` to pick one per request
+ * @property {number} [timeout] - Milliseconds
+ * @property {number} [retries] - Retries for 5xx and 429 responses
+ */
+
+/**
+ * Axios instance for one provider's upstream requests. Headers passed to a
+ * single request win over the profile's. Requests are logged at `http`
+ * level and failures at `warn`, and recorded or replayed per `HTTP_FIXTURES`.
+ * @param {string} provider - Server id, also selects the outbound proxy
+ * @param {HeaderProfile} [profile]
+ * @returns {import('axios').AxiosInstance}
+ */
+export function createClient(provider, {
+  headers = {},
+  userAgent = DEFAULT_USER_AGENT,
+  timeout = TIMEOUT_MS,
+  retries = MAX_RETRIES,
+} = {}) {
+  const proxy = proxyFor(provider);
+  const agent = proxy ? createAgent(proxy) : null;
+  const client = axios.create({
+    timeout,
+    headers,
+    adapter: fixtureAdapter(provider),
+    ...(agent && { httpAgent: agent, httpsAgent: agent, proxy: false }),
+  });
+
+  client.interceptors.request.use(config => {
+    if (!config.headers.has('User-Agent')) {
+      config.headers.set('User-Agent', userAgent === 'rotate' ? randomUserAgent() : userAgent);
+    }
+    config.metadata = { startedAt: Date.now(), attempt: config.metadata?.attempt ?? 0 };
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => {
+      const { config } = response;
+      logger.http('Upstream request', {
+        provider,
+        method: config.method.toUpperCase(),
+        url: config.url,
+        status: response.status,
+        ms: Date.now() - config.metadata.startedAt,
+        attempt: config.metadata.attempt,
+      });
+      return response;
+    },
+    async error => {
+      const { config } = error;
+      if (!config?.metadata) throw error;
+
+      const { attempt } = config.metadata;
+      const meta = {
+        provider,
+        method: config.method.toUpperCase(),
+        url: config.url,
+        status: error.response?.status,
+        error: error.code || error.message,
+        ms: Date.now() - config.metadata.startedAt,
+        attempt,
+      };
+
+      if (attempt < retries && isRetryable(error) && IDEMPOTENT_METHODS.includes(config.method)) {
+        const delay = Math.round(retryDelay(attempt, error.response));
+        logger.warn('Upstream request failed, retrying', { ...meta, delay });
+        await sleep(delay);
+        return client.request({ ...config, metadata: { attempt: attempt + 1 } });
+      }
+
+      logger.warn('Upstream request failed', meta);
+      throw error;
+    },
+  );
+
+  if (proxy) logger.info('Routing upstream requests through proxy', { provider, proxy: new URL(proxy).host });
+  return client;
+}
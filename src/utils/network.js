@@ -0,0 +1,109 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Loopback, private, link-local, CGNAT and other non-public ranges
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blocked.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blocked.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} `false` for loopback, private, link-local and other internal ranges
+ */
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const privateAddressError = address =>
+  Object.assign(new Error(`Refusing to connect to internal address ${address}`), { code: 'ERR_PRIVATE_ADDRESS' });
+
+// dns.lookup that fails for internal addresses; checked on every connection,
+// so a hostname cannot be re-pointed inside after `isPublicUrl` passed
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const internal = addresses.find(entry => !isPublicAddress(entry.address));
+    if (internal) return callback(privateAddressError(internal.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const hostOf = url => url.hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Whether a URL points at a public host. IP literals are checked directly,
+ * hostnames by resolving them.
+ * @param {URL} url
+ * @returns {Promise<boolean>}
+ */
+export async function isPublicUrl(url) {
+  const host = hostOf(url);
+  if (net.isIP(host)) return isPublicAddress(host);
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(entry => isPublicAddress(entry.address));
+  } catch (err) {
+    return false;
+  }
+}
+
+const agents = {
+  httpAgent: new http.Agent({ keepAlive: true, lookup: publicLookup }),
+  httpsAgent: new https.Agent({ keepAlive: true, lookup: publicLookup }),
+};
+
+/**
+ * Axios options for fetching URLs that came from a client: connections and
+ * redirects to internal addresses fail with `ERR_PRIVATE_ADDRESS`.
+ * @returns {import('axios').AxiosRequestConfig}
+ */
+export function publicRequestOptions() {
+  return {
+    ...agents,
+    // Redirects to IP literals never reach the lookup
+    beforeRedirect: (options) => {
+      const host = String(options.hostname || '').replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !isPublicAddress(host)) throw privateAddressError(host);
+    },
+  };
+}
+
+/**
+ * The URL a response was finally served from, after redirects; relative
+ * URIs in a playlist resolve against it, not against the requested URL.
+ * @param {import('axios').AxiosResponse} response
+ * @param {string} requested - URL the request was made for
+ * @returns {string}
+ */
+export function finalUrl(response, requested) {
+  return response.request?.res?.responseUrl || requested;
+}
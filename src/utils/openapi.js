@@ -0,0 +1,219 @@
+import { ErrorCodes } from './api.js';
+
+// Schemas shared by every /api/v1 response
+const schemas = {
+  ErrorDetail: {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+      code: { type: 'string', enum: Object.values(ErrorCodes) },
+      message: { type: 'string' },
+      details: { type: 'object', additionalProperties: true },
+    },
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { $ref: '#/components/schemas/ErrorDetail' },
+    },
+  },
+  IntroOutro: {
+    type: 'object',
+    nullable: true,
+    required: ['start', 'end'],
+    properties: {
+      start: { type: 'number', description: 'Start of the range in seconds' },
+      end: { type: 'number', description: 'End of the range in seconds' },
+    },
+  },
+  Subtitle: {
+    type: 'object',
+    required: ['url', 'lang'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      lang: { type: 'string' },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+  },
+  AudioRendition: {
+    type: 'object',
+    required: ['name', 'language', 'default', 'url'],
+    properties: {
+      name: { type: 'string' },
+      language: { type: 'string', nullable: true },
+      default: { type: 'boolean' },
+      url: { type: 'string', format: 'uri', nullable: true, description: 'Null when muxed into the variant' },
+    },
+  },
+  Source: {
+    type: 'object',
+    required: [
+      'url', 'isM3U8', 'quality', 'bandwidth', 'codecs', 'frameRate', 'audioOnly', 'audio',
+      'headers', 'backup', 'subtitles', 'intro', 'outro',
+    ],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      isM3U8: { type: 'boolean' },
+      quality: { type: 'integer', nullable: true, description: 'Vertical resolution, null for adaptive or unknown' },
+      bandwidth: { type: 'integer', nullable: true, description: 'Peak bits per second of the variant' },
+      codecs: { type: 'string', nullable: true, example: 'avc1.64001f,mp4a.40.2' },
+      frameRate: { type: 'number', nullable: true },
+      audioOnly: { type: 'boolean' },
+      audio: { type: 'array', items: { $ref: '#/components/schemas/AudioRendition' } },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      backup: { type: 'boolean' },
+      subtitles: { type: 'array', items: { $ref: '#/components/schemas/Subtitle' } },
+      intro: { $ref: '#/components/schemas/IntroOutro' },
+      outro: { $ref: '#/components/schemas/IntroOutro' },
+    },
+  },
+  ServerResult: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['status', 'sources'],
+        properties: {
+          status: { type: 'string', enum: ['ok'] },
+          sources: { type: 'array', items: { $ref: '#/components/schemas/Source' } },
+        },
+      },
+      {
+        type: 'object',
+        required: ['status', 'error'],
+        properties: {
+          status: { type: 'string', enum: ['error'] },
+          error: { $ref: '#/components/schemas/ErrorDetail' },
+        },
+      },
+    ],
+  },
+  EpisodeSources: {
+    type: 'object',
+    required: ['episodeId', 'servers'],
+    properties: {
+      episodeId: { type: 'string' },
+      servers: { type: 'object', additionalProperties: { $ref: '#/components/schemas/ServerResult' } },
+    },
+  },
+  ServerSources: {
+    type: 'object',
+    required: ['episodeId', 'server', 'sources'],
+    properties: {
+      episodeId: { type: 'string' },
+      server: { type: 'string' },
+      sources: { type: 'array', items: { $ref: '#/components/schemas/Source' } },
+    },
+  },
+  Server: {
+    type: 'object',
+    required: ['id', 'name', 'capabilities'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      capabilities: { type: 'object', additionalProperties: { type: 'boolean' } },
+    },
+  },
+  PlaybackTokenRequest: {
+    type: 'object',
+    required: ['episodeId'],
+    properties: {
+      episodeId: { type: 'string', example: 'one-piece-episode-1' },
+      server: { type: 'string', description: 'Server for the returned player URL' },
+      ip: { type: 'string', description: 'Bind the token to this viewer IP' },
+      ttl: { type: 'integer', minimum: 1, description: 'Lifetime in seconds, capped at one day' },
+    },
+  },
+  PlaybackToken: {
+    type: 'object',
+    required: ['token', 'expiresAt'],
+    properties: {
+      token: { type: 'string' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      playerUrl: { type: 'string', description: 'Player path with the token, when a server was given' },
+    },
+  },
+};
+
+const securitySchemes = {
+  apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+};
+
+const envelope = (schema) => ({
+  type: 'object',
+  required: ['data'],
+  properties: { data: schema },
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+/**
+ * @typedef {Object} RouteSpec
+ * @property {string} method - Express method name, e.g. `get`
+ * @property {string} path - Express path, e.g. `/episodes/:id/sources`
+ * @property {string} operationId
+ * @property {string} summary
+ * @property {Object<string, string>} [params] - Path parameter descriptions
+ * @property {Object} [body] - Schema of the JSON request body
+ * @property {string} [auth] - Key of the security scheme the route requires
+ * @property {Object} response - Schema of `data` in a successful response
+ * @property {Object<number, string>} [errors] - Error statuses and their meaning
+ */
+
+/**
+ * Generate the OpenAPI document from the route table the router is built from,
+ * so the spec cannot drift from the routes.
+ * @param {RouteSpec[]} routes
+ * @param {string} basePath - Mount point, e.g. `/api/v1`
+ */
+export function buildOpenApi(routes, basePath) {
+  const paths = {};
+
+  for (const route of routes) {
+    const path = basePath + route.path.replace(/:(\w+)/g, '{$1}');
+    const responses = {
+      200: {
+        description: 'Success',
+        content: { 'application/json': { schema: envelope(route.response) } },
+      },
+    };
+    for (const [status, description] of Object.entries(route.errors || {})) {
+      responses[status] = errorResponse(description);
+    }
+
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      parameters: Object.entries(route.params || {}).map(([name, description]) => ({
+        name,
+        in: 'path',
+        required: true,
+        description,
+        schema: { type: 'string' },
+      })),
+      ...(route.body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: route.body } },
+        },
+      }),
+      ...(route.auth && { security: [{ [route.auth]: [] }] }),
+      responses,
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'NekoNode Player API',
+      version: '1.0.0',
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: { schemas, securitySchemes },
+  };
+}
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
+import { ApiError, ErrorCodes, sendError } from './api.js';
+
+// Setting a secret turns signed playback on for the player, proxy and subtitles
+const SECRET = process.env.PLAYBACK_TOKEN_SECRET;
+// Default lifetime in seconds; long enough to finish an episode
+export const TOKEN_TTL = Number(process.env.PLAYBACK_TOKEN_TTL) || 2 * 60 * 60;
+// Longest lifetime the signing endpoint will grant
+export const MAX_TOKEN_TTL = 24 * 60 * 60;
+
+const API_KEYS = String(process.env.SIGNING_API_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+// Tokens each API key may sign per 15 minutes; a site signs one per page view
+const SIGNING_RATE_LIMIT = Number(process.env.SIGNING_RATE_LIMIT) || 10000;
+
+export const playbackTokensEnabled = Boolean(SECRET);
+
+/**
+ * @typedef {Object} PlaybackClaims
+ * @property {string} ep - Episode id the token is for
+ * @property {string} [ip] - Client IP the token is bound to
+ * @property {number} exp
+ */
+
+/**
+ * Mint a playback token for one episode.
+ * @param {string} episodeId
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Bind the token to this client IP
+ * @param {number} [options.ttl] - Lifetime in seconds
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function signPlaybackToken(episodeId, { ip, ttl = TOKEN_TTL } = {}) {
+  const payload = ip ? { ep: episodeId, ip } : { ep: episodeId };
+  const token = jwt.sign(payload, SECRET, { algorithm: 'HS256', expiresIn: ttl });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * @param {string} [token]
+ * @param {Object} [expected]
+ * @param {string} [expected.episodeId] - Checked when the request names an episode
+ * @param {string} [expected.ip] - Requesting client's IP
+ * @returns {PlaybackClaims}
+ * @throws {ApiError} 401 for a missing, invalid or expired token, 403 when it
+ *   is for another episode or client
+ */
+export function verifyPlaybackToken(token, { episodeId, ip } = {}) {
+  if (!token) {
+    throw new ApiError(401, ErrorCodes.INVALID_TOKEN, 'A playback token is required');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Playback token has expired' : 'Invalid playback token';
+    throw new ApiError(401, ErrorCodes.INVALID_TOKEN, message);
+  }
+
+  if (episodeId && claims.ep !== episodeId) {
+    throw new ApiError(403, ErrorCodes.FORBIDDEN, 'Playback token is for a different episode');
+  }
+  if (claims.ip && claims.ip !== ip) {
+    throw new ApiError(403, ErrorCodes.FORBIDDEN, 'Playback token is bound to a different client');
+  }
+  return claims;
+}
+
+/**
+ * Middleware requiring a valid `?token=` while signed playback is on. The
+ * token is kept in `res.locals.playbackToken` so URLs built for the
+ * response can carry it on, and its claims in `res.locals.playbackClaims`.
+ * @param {Object} [options]
+ * @param {(req: import('express').Request) => string|undefined} [options.episodeId]
+ * @param {(res: import('express').Response, error: ApiError, req: import('express').Request) => void} [options.onError]
+ */
+export function requirePlaybackToken({ episodeId = () => undefined, onError = sendError } = {}) {
+  return (req, res, next) => {
+    if (!playbackTokensEnabled) return next();
+    const { token } = req.query;
+    let claims;
+    try {
+      claims = verifyPlaybackToken(token, { episodeId: episodeId(req), ip: req.ip });
+    } catch (error) {
+      return onError(res, error, req);
+    }
+    res.locals.playbackToken = token;
+    res.locals.playbackClaims = claims;
+    next();
+  };
+}
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Whether a request carries one of the `SIGNING_API_KEYS`.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function hasApiKey(req) {
+  const key = req.get('X-API-Key') || '';
+  return Boolean(key) && API_KEYS.some(allowed => safeEqual(allowed, key));
+}
+
+/**
+ * Middleware guarding the signing endpoint with an `X-API-Key` from
+ * `SIGNING_API_KEYS`. Answers 404 while signed playback is off.
+ */
+export function requireApiKey(req, res, next) {
+  if (!playbackTokensEnabled) {
+    return next(new ApiError(404, ErrorCodes.NOT_FOUND, 'Signed playback is not enabled'));
+  }
+  if (!hasApiKey(req)) {
+    return next(new ApiError(401, ErrorCodes.UNAUTHORIZED, 'Missing or invalid API key'));
+  }
+  next();
+}
+
+// Signing requests come from the site's backend, so one IP speaks for every
+// viewer; they are limited per API key instead of by the site-wide limiter.
+// Runs after `requireApiKey`, so the key is known to be valid.
+export const signingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: SIGNING_RATE_LIMIT,
+  keyGenerator: req => req.get('X-API-Key'),
+  handler: (req, res, next) => next(new ApiError(429, ErrorCodes.RATE_LIMITED, 'Too many playback tokens signed with this API key, please try again later')),
+});
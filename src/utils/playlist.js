@@ -0,0 +1,213 @@
+import { Parser } from 'm3u8-parser';
+import { proxyUrl } from './proxy.js';
+
+/**
+ * @typedef {Object} Rendition
+ * @property {'AUDIO'|'SUBTITLES'} type
+ * @property {string} groupId - `GROUP-ID` variants refer to
+ * @property {string} name
+ * @property {string|null} language
+ * @property {boolean} default
+ * @property {string|null} url - Absolute URL, `null` when muxed into the variant
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} url - Absolute URL of the media playlist
+ * @property {number|null} bandwidth - Peak bits per second
+ * @property {number|null} averageBandwidth
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} codecs
+ * @property {number|null} frameRate
+ * @property {boolean} audioOnly - No resolution and only audio codecs
+ * @property {Rendition[]} audio - Alternate audio renditions of its `AUDIO` group
+ * @property {Rendition[]} subtitles - Renditions of its `SUBTITLES` group
+ */
+
+/**
+ * @typedef {Object} Playlist
+ * @property {boolean} isMaster
+ * @property {Variant[]} variants - Empty for media playlists
+ * @property {Rendition[]} audio - Every alternate audio rendition
+ * @property {Rendition[]} subtitles - Every subtitle rendition
+ * @property {string[]} segments - Absolute segment URLs of a media playlist
+ */
+
+const resolve = (uri, base) => (uri ? new URL(uri, base).href : null);
+
+function renditions(mediaGroups, type, baseUrl) {
+  const result = [];
+  for (const [groupId, group] of Object.entries(mediaGroups?.[type] || {})) {
+    for (const [name, rendition] of Object.entries(group)) {
+      result.push({
+        type,
+        groupId,
+        name,
+        language: rendition.language || null,
+        default: Boolean(rendition.default),
+        url: resolve(rendition.uri, baseUrl),
+      });
+    }
+  }
+  return result;
+}
+
+const AUDIO_CODEC = /^(mp4a|ac-3|ec-3|opus|flac)/i;
+
+function isAudioOnly(attributes) {
+  if (attributes.RESOLUTION) return false;
+  const codecs = String(attributes.CODECS || '').split(',').map(codec => codec.trim()).filter(Boolean);
+  return codecs.length > 0 && codecs.every(codec => AUDIO_CODEC.test(codec));
+}
+
+/**
+ * Parse an m3u8 playlist, resolving every URI against the playlist's URL.
+ * @param {string} text
+ * @param {string} playlistUrl
+ * @returns {Playlist}
+ */
+export function parsePlaylist(text, playlistUrl) {
+  const parser = new Parser();
+  parser.push(text);
+  parser.end();
+  const { playlists = [], mediaGroups, segments = [] } = parser.manifest;
+
+  const audio = renditions(mediaGroups, 'AUDIO', playlistUrl);
+  const subtitles = renditions(mediaGroups, 'SUBTITLES', playlistUrl);
+
+  const variants = playlists.map(({ uri, attributes = {} }) => ({
+    url: resolve(uri, playlistUrl),
+    bandwidth: attributes.BANDWIDTH ?? null,
+    averageBandwidth: attributes['AVERAGE-BANDWIDTH'] ?? null,
+    width: attributes.RESOLUTION?.width ?? null,
+    height: attributes.RESOLUTION?.height ?? null,
+    codecs: attributes.CODECS ?? null,
+    frameRate: attributes['FRAME-RATE'] ?? null,
+    audioOnly: isAudioOnly(attributes),
+    audio: audio.filter(rendition => rendition.groupId === attributes.AUDIO),
+    subtitles: subtitles.filter(rendition => rendition.groupId === attributes.SUBTITLES),
+  }));
+
+  return {
+    isMaster: variants.length > 0,
+    variants,
+    audio,
+    subtitles,
+    segments: segments.map(segment => resolve(segment.uri, playlistUrl)),
+  };
+}
+
+/**
+ * Subtitle renditions as the subtitle entries sources carry.
+ * @param {Rendition[]} renditionList
+ * @param {Object<string, string>} [headers]
+ * @returns {import('./subtitles.js').Subtitle[]}
+ */
+export function toSubtitles(renditionList, headers) {
+  return renditionList
+    .filter(rendition => rendition.url)
+    .map(rendition => ({ url: rendition.url, lang: rendition.name || rendition.language || 'Unknown', headers }));
+}
+
+/**
+ * Expand a master playlist into one source per variant, carrying the
+ * variant's metadata. Media playlists and non-playlists yield nothing.
+ * @param {string} text - Playlist contents
+ * @param {string} playlistUrl
+ * @param {Object} [extras] - Fields shared by every source, e.g. `headers`
+ * @returns {Object[]} Raw sources, ready for `normalizeSource`
+ */
+export function playlistToSources(text, playlistUrl, extras = {}) {
+  if (typeof text !== 'string' || !text.includes('#EXTM3U')) return [];
+
+  const playlist = parsePlaylist(text, playlistUrl);
+  return playlist.variants.map(variant => ({
+    ...extras,
+    url: variant.url,
+    isM3U8: true,
+    quality: variant.height,
+    backup: false,
+    bandwidth: variant.bandwidth,
+    codecs: variant.codecs,
+    frameRate: variant.frameRate,
+    audioOnly: variant.audioOnly,
+    audio: variant.audio.map(({ name, language, default: isDefault, url }) => ({ name, language, default: isDefault, url })),
+    subtitles: [
+      ...(extras.subtitles || []),
+      ...toSubtitles(variant.subtitles.length ? variant.subtitles : playlist.subtitles, extras.headers),
+    ],
+  }));
+}
+
+// Rough peak bitrate for a height, for variants whose master had no BANDWIDTH
+const estimateBandwidth = height => Math.round(height * height * 4.3);
+
+const quoted = value => `"${String(value).replace(/"/g, "'")}"`;
+
+/**
+ * Variants a synthesized master can list: primary HLS sources of a known
+ * height. Adaptive masters are left out since masters cannot be nested.
+ * @param {import('./sources.js').Source[]} sources
+ * @returns {import('./sources.js').Source[]}
+ */
+export function masterVariants(sources) {
+  return sources.filter(source => source.isM3U8 && !source.backup && !source.audioOnly && source.quality);
+}
+
+/**
+ * Write one master playlist listing every variant through the HLS proxy,
+ * highest bitrate first. Alternate audio renditions become `AUDIO` groups.
+ * Variants from different servers with the same attributes end up as
+ * duplicate entries, which hls.js uses as redundant streams.
+ * @param {import('./sources.js').Source[]} sources - Normalized sources
+ * @param {Object} [options]
+ * @param {string} [options.token] - Playback token for the proxied URLs
+ * @returns {string|null} `null` when there is nothing to list
+ */
+export function buildMasterPlaylist(sources, { token } = {}) {
+  const variants = masterVariants(sources)
+    .map(source => ({ ...source, bandwidth: source.bandwidth || estimateBandwidth(source.quality) }))
+    .sort((a, b) => b.bandwidth - a.bandwidth);
+  if (!variants.length) return null;
+
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  const audioGroups = new Map();
+  const streams = [];
+
+  for (const variant of variants) {
+    const attributes = [
+      `BANDWIDTH=${variant.bandwidth}`,
+      // Only the height is known, assume 16:9
+      `RESOLUTION=${Math.round((variant.quality * 16) / 9 / 2) * 2}x${variant.quality}`,
+    ];
+    if (variant.codecs) attributes.push(`CODECS=${quoted(variant.codecs)}`);
+    if (variant.frameRate) attributes.push(`FRAME-RATE=${variant.frameRate.toFixed(3)}`);
+
+    const audio = variant.audio.filter(rendition => rendition.url);
+    if (audio.length) {
+      const key = audio.map(rendition => rendition.url).join('\n');
+      if (!audioGroups.has(key)) {
+        const groupId = `audio-${audioGroups.size + 1}`;
+        audioGroups.set(key, groupId);
+        for (const rendition of audio) {
+          const media = [
+            'TYPE=AUDIO',
+            `GROUP-ID=${quoted(groupId)}`,
+            `NAME=${quoted(rendition.name)}`,
+            `DEFAULT=${rendition.default ? 'YES' : 'NO'}`,
+            'AUTOSELECT=YES',
+            `URI=${quoted(proxyUrl(rendition.url, variant.headers, token))}`,
+          ];
+          if (rendition.language) media.splice(3, 0, `LANGUAGE=${quoted(rendition.language)}`);
+          lines.push(`#EXT-X-MEDIA:${media.join(',')}`);
+        }
+      }
+      attributes.push(`AUDIO=${quoted(audioGroups.get(key))}`);
+    }
+
+    streams.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, proxyUrl(variant.url, variant.headers, token));
+  }
+
+  return [...lines, ...streams, ''].join('\n');
+}
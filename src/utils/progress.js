@@ -0,0 +1,110 @@
+import NodeCache from 'node-cache';
+import { getRedisClient } from './redis.js';
+import logger from './logger.js';
+
+// Share of an episode after which it counts as watched
+export const WATCHED_THRESHOLD = Number(process.env.PROGRESS_WATCHED_THRESHOLD) || 0.9;
+// Seconds a viewer's progress is kept after their last update
+const PROGRESS_TTL = Number(process.env.PROGRESS_TTL) || 90 * 24 * 60 * 60;
+
+const KEY_PREFIX = 'progress:';
+
+// Viewer ids are opaque and should be unguessable, e.g. a UUID
+export const VIEWER_ID = /^[\w-]{8,128}$/;
+
+// Used whenever Redis is unavailable, so resume keeps working per instance
+const local = new NodeCache({ stdTTL: PROGRESS_TTL, useClones: false, checkperiod: 600 });
+
+/**
+ * @typedef {Object} Progress
+ * @property {string} episodeId
+ * @property {number} position - Seconds into the episode
+ * @property {number|null} duration - Seconds, when the player knew it
+ * @property {boolean} watched - Passed `WATCHED_THRESHOLD` at least once
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+function localEntries(viewer) {
+  let entries = local.get(viewer);
+  if (!entries) {
+    entries = new Map();
+    local.set(viewer, entries);
+  }
+  return entries;
+}
+
+/**
+ * @param {string} viewer
+ * @param {string} episodeId
+ * @returns {Promise<Progress|null>}
+ */
+export async function getProgress(viewer, episodeId) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const value = await redis.hGet(`${KEY_PREFIX}${viewer}`, episodeId);
+      return value ? JSON.parse(value) : null;
+    } catch (err) {
+      logger.warn('Falling back to local progress', { viewer, error: err.message });
+    }
+  }
+  return local.get(viewer)?.get(episodeId) || null;
+}
+
+/**
+ * Every episode a viewer has progress for, most recently watched first.
+ * @param {string} viewer
+ * @returns {Promise<Progress[]>}
+ */
+export async function listProgress(viewer) {
+  let entries = null;
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      entries = Object.values(await redis.hGetAll(`${KEY_PREFIX}${viewer}`)).map(value => JSON.parse(value));
+    } catch (err) {
+      logger.warn('Falling back to local progress', { viewer, error: err.message });
+    }
+  }
+  entries ??= [...(local.get(viewer)?.values() || [])];
+  return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Store a viewer's position in an episode. Once an episode is watched it
+ * stays watched, even when it is started again.
+ * @param {string} viewer
+ * @param {string} episodeId
+ * @param {{ position: number, duration?: number|null }} update
+ * @returns {Promise<Progress>}
+ */
+export async function saveProgress(viewer, episodeId, { position, duration = null }) {
+  const previous = await getProgress(viewer, episodeId);
+  const progress = {
+    episodeId,
+    position,
+    duration: duration || previous?.duration || null,
+    watched: false,
+    updatedAt: new Date().toISOString(),
+  };
+  progress.watched = Boolean(previous?.watched)
+    || Boolean(progress.duration && position / progress.duration >= WATCHED_THRESHOLD);
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const key = `${KEY_PREFIX}${viewer}`;
+      await redis.multi()
+        .hSet(key, episodeId, JSON.stringify(progress))
+        .expire(key, PROGRESS_TTL)
+        .exec();
+      return progress;
+    } catch (err) {
+      logger.warn('Failed to save progress in Redis', { viewer, error: err.message });
+    }
+  }
+
+  localEntries(viewer).set(episodeId, progress);
+  local.ttl(viewer, PROGRESS_TTL);
+  return progress;
+}
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Extractor from './extractor.js';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const libDir = path.join(__dirname, '../lib');
+
+/**
+ * Import every module in `src/lib` and register the default exports that
+ * extend `Extractor`, keyed by their id. A provider that fails to load
+ * (missing env, bad import) is logged and skipped instead of taking the
+ * whole server down.
+ * @returns {Promise<Object<string, Extractor>>}
+ */
+export async function loadProviders() {
+  const registry = {};
+  const files = fs.readdirSync(libDir).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    try {
+      const { default: Provider } = await import(pathToFileURL(path.join(libDir, file)).href);
+      if (typeof Provider !== 'function' || !(Provider.prototype instanceof Extractor)) continue;
+
+      const provider = new Provider();
+      if (registry[provider.id]) {
+        logger.warn('Duplicate provider id, skipping', { id: provider.id, file });
+        continue;
+      }
+      registry[provider.id] = provider;
+    } catch (error) {
+      logger.error('Failed to load provider', { file, error: error.message });
+    }
+  }
+
+  logger.info('Registered providers', { servers: Object.keys(registry) });
+  return registry;
+}
+
+export const servers = await loadProviders();
+
+/**
+ * @returns {ReturnType<Extractor['describe']>[]}
+ */
+export function describeServers() {
+  return Object.values(servers).map(provider => provider.describe());
+}
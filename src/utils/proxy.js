@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+
+export const PROXY_PATH = '/proxy';
+
+// Signs every /proxy and /subtitles URL this server hands out. Without a
+// configured secret each process picks its own, so URLs only work on the
+// instance that built them.
+const SIGNING_SECRET = process.env.PROXY_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+export const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Only these headers are ever forwarded upstream from the encoded header blob
+const FORWARDED_HEADERS = ['referer', 'origin', 'user-agent'];
+
+/**
+ * Encode upstream request headers into a URL-safe string.
+ * @param {Object<string, string>} [headers]
+ * @returns {string}
+ */
+export function encodeHeaders(headers) {
+  if (!headers || Object.keys(headers).length === 0) return '';
+  return Buffer.from(JSON.stringify(headers)).toString('base64url');
+}
+
+/**
+ * Decode a header blob produced by `encodeHeaders`, dropping anything that
+ * is not on the forwarded header list.
+ * @param {string} [encoded]
+ * @returns {Object<string, string>}
+ */
+export function decodeHeaders(encoded) {
+  if (!encoded) return {};
+  try {
+    const parsed = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    const headers = {};
+    for (const [name, value] of Object.entries(parsed)) {
+      if (FORWARDED_HEADERS.includes(name.toLowerCase()) && typeof value === 'string') {
+        headers[name] = value;
+      }
+    }
+    return headers;
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Signature over an upstream URL and its encoded headers, sent as `s`.
+ * @param {string} url
+ * @param {string} [encodedHeaders] - The `h` parameter
+ * @returns {string}
+ */
+export function signTarget(url, encodedHeaders = '') {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${url}\n${encodedHeaders}`).digest('base64url');
+}
+
+/**
+ * Whether `s` is this server's signature for `url` and `h`.
+ * @param {unknown} url
+ * @param {unknown} encodedHeaders
+ * @param {unknown} signature
+ * @returns {boolean}
+ */
+export function verifyTarget(url, encodedHeaders, signature) {
+  if (typeof url !== 'string' || typeof signature !== 'string') return false;
+  if (encodedHeaders !== undefined && typeof encodedHeaders !== 'string') return false;
+  const expected = Buffer.from(signTarget(url, encodedHeaders));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Build a first-party proxy URL for an upstream resource.
+ * @param {string} url - Absolute upstream URL
+ * @param {Object<string, string>} [headers] - Headers the upstream requires
+ * @param {string} [token] - Playback token, when signed playback is on
+ * @returns {string}
+ */
+export function proxyUrl(url, headers, token) {
+  const params = new URLSearchParams({ url });
+  const encoded = encodeHeaders(headers);
+  if (encoded) params.set('h', encoded);
+  params.set('s', signTarget(url, encoded));
+  if (token) params.set('token', token);
+  return `${PROXY_PATH}?${params.toString()}`;
+}
+
+/**
+ * Whether an upstream response should be treated as an HLS playlist.
+ * @param {string} url
+ * @param {string} [contentType]
+ * @returns {boolean}
+ */
+export function isPlaylist(url, contentType = '') {
+  if (/mpegurl/i.test(contentType)) return true;
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.m3u8');
+  } catch (err) {
+    return false;
+  }
+}
+
+function rewriteUri(uri, baseUrl, headers, token) {
+  let resolved;
+  try {
+    resolved = new URL(uri, baseUrl);
+  } catch (err) {
+    return uri;
+  }
+  // Leave key schemes like skd:// and inline data: URIs untouched
+  if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return uri;
+  return proxyUrl(resolved.href, headers, token);
+}
+
+/**
+ * Rewrite every URI in an m3u8 playlist so it is fetched through the proxy.
+ * Handles variant playlists, segments and any tag carrying a `URI="..."`
+ * attribute (`#EXT-X-KEY`, `#EXT-X-MEDIA`, `#EXT-X-MAP`, ...).
+ * @param {string} body - Playlist contents
+ * @param {string} playlistUrl - URL the playlist was fetched from
+ * @param {Object<string, string>} [headers] - Headers to carry down to children
+ * @param {string} [token] - Playback token to carry down to children
+ * @returns {string}
+ */
+export function rewritePlaylist(body, playlistUrl, headers, token) {
+  return body
+    .split(/\r?\n/)
+    .map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${rewriteUri(uri, playlistUrl, headers, token)}"`);
+      }
+
+      return rewriteUri(trimmed, playlistUrl, headers, token);
+    })
+    .join('\n');
+}
@@ -14,11 +14,18 @@ if (typeof window === 'undefined') {
     console.error('Redis error:', err);
   });
 
-  client.connect();
+  client.connect().catch((err) => {
+    console.error('Redis connection failed:', err);
+  });
 }
 
+// Commands fail fast instead of queueing while Redis is unreachable; the
+// in-process tier in cache.js keeps serving in the meantime
+const isReady = () => Boolean(client && client.isReady);
+
+// Values are JSON encoded here and only here: pass and receive plain values
 export const getCache = async (key) => {
-  if (!client) return null; // Ensure client is available
+  if (!isReady()) return null;
   try {
     const data = await client.get(key);
     return data ? JSON.parse(data) : null;
@@ -29,7 +36,7 @@ export const getCache = async (key) => {
 };
 
 export const setCache = async (key, value, ttl = 3600) => {
-  if (!client) return; // Ensure client is available
+  if (!isReady()) return;
   try {
     await client.setEx(key, ttl, JSON.stringify(value));
   } catch (err) {
@@ -38,10 +45,27 @@ export const setCache = async (key, value, ttl = 3600) => {
 };
 
 export const delCache = async (key) => {
-  if (!client) return; // Ensure client is available
+  if (!isReady()) return;
   try {
     await client.del(key);
   } catch (err) {
     console.error('Error deleting cache:', err);
   }
 };
+
+// Connected client for modules that need more than get/set, or null while
+// Redis is unavailable so callers can fall back to in-process state
+export const getRedisClient = () => (isReady() ? client : null);
+
+export const pingRedis = async () => {
+  const redis = getRedisClient();
+  if (!redis) return { connected: false, latencyMs: null };
+  const startedAt = Date.now();
+  try {
+    await redis.ping();
+    return { connected: true, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    console.error('Error pinging Redis:', err);
+    return { connected: false, latencyMs: null };
+  }
+};
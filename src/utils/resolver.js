@@ -0,0 +1,120 @@
+import logger from './logger.js';
+import { cached } from './cache.js';
+import { servers } from './providers.js';
+import { canAttempt, track } from './health.js';
+import { buildChain, resolveWithFallback } from './fallback.js';
+import { ApiError, ErrorCodes } from './api.js';
+import { NoSourcesFound, classifyError } from './errors.js';
+
+/**
+ * Sources of one server for an episode, going through its circuit breaker.
+ * @param {string} server - Registered server id
+ * @param {string} episodeId
+ * @returns {Promise<import('./sources.js').Source[]>}
+ * @throws {ApiError} `ExtractorError` subclasses for extraction failures
+ */
+export async function loadServerSources(server, episodeId) {
+  if (!servers[server]) {
+    throw new ApiError(400, ErrorCodes.UNKNOWN_SERVER, `Unknown server: ${server}`);
+  }
+
+  if (!(await canAttempt(server))) {
+    throw new ApiError(503, ErrorCodes.SERVER_UNAVAILABLE, 'Server temporarily unavailable', { server });
+  }
+
+  let sources;
+  try {
+    sources = await track(server, () => servers[server].getEpisodeSources(episodeId));
+  } catch (error) {
+    const failure = classifyError(error, { server });
+    logger.error(`Error getting sources from ${server}`, { error: failure.message, code: failure.code, cause: failure.cause?.message });
+    throw failure;
+  }
+
+  if (!sources.length) {
+    throw new NoSourcesFound(undefined, { server });
+  }
+  return sources;
+}
+
+/**
+ * Query every registered server for an episode. Each entry is either the
+ * server's sources or `{ error, code }` describing why it has none.
+ * @param {string} episodeId
+ */
+export async function loadSourcesMap(episodeId) {
+  const results = {};
+  await Promise.all(Object.keys(servers).map(async server => {
+    try {
+      results[server] = await loadServerSources(server, episodeId);
+    } catch (error) {
+      results[server] = { error: error.message, code: error.code || ErrorCodes.INTERNAL_ERROR };
+    }
+  }));
+  return results;
+}
+
+/**
+ * Cached `loadSourcesMap`. Only complete results are cached so a failing
+ * server is retried on the next request.
+ * @param {string} episodeId
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-extract even when cached, see `cached`
+ */
+export function getSourcesMap(episodeId, { force } = {}) {
+  return cached('sourcesMap', episodeId, () => loadSourcesMap(episodeId), {
+    shouldCache: map => !Object.values(map).some(result => result.error),
+    force,
+  });
+}
+
+/**
+ * Resolve an episode through a fallback chain.
+ * @param {string} episodeId
+ * @param {string[]} chain - Output of `buildChain`
+ * @returns {Promise<{ servedBy: string, sources: import('./sources.js').Source[] }>}
+ * @throws {ApiError} The chain's failure, with every attempt as `attempts`
+ */
+export async function resolveEpisode(episodeId, chain) {
+  const { server, sources, attempts, error } = await resolveWithFallback(episodeId, chain);
+  if (!server) {
+    error.attempts = attempts;
+    throw error;
+  }
+  return { servedBy: server, sources };
+}
+
+/**
+ * Cached `resolveEpisode` for a requested server, shared by the player page
+ * and the master playlist so an episode is only extracted once.
+ * @param {string} server - Server requested with `?server=`
+ * @param {string} episodeId
+ * @param {string} [fallback] - Comma separated `?fallback=` override
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-extract even when cached, see `cached`
+ */
+export function getEpisode(server, episodeId, fallback, { force } = {}) {
+  // Keyed on the whole chain, so `?fallback=` overrides get their own entry
+  const chain = buildChain(server, fallback);
+  return cached('sources', `episode:${chain.join(',')}-${episodeId}`, () => resolveEpisode(episodeId, chain), { force });
+}
+
+/**
+ * Sources of every server that has the episode, the preferred server's
+ * first.
+ * @param {string} episodeId
+ * @param {string} [preferred]
+ * @returns {Promise<{ servedBy: string, sources: import('./sources.js').Source[] }>}
+ * @throws {NoSourcesFound} When no server has sources
+ */
+export async function getMergedEpisode(episodeId, preferred) {
+  const map = await getSourcesMap(episodeId);
+  const names = Object.keys(map)
+    .filter(server => Array.isArray(map[server]))
+    .sort((a, b) => (b === preferred) - (a === preferred));
+
+  if (!names.length) {
+    throw new NoSourcesFound('No server returned sources for this episode');
+  }
+  return { servedBy: names.join(','), sources: names.flatMap(server => map[server]) };
+}
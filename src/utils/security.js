@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import helmet from 'helmet';
+import { ApiError, ErrorCodes } from './api.js';
+
+// Sites allowed to iframe the player: origins (`https://example.com`) or
+// hosts, optionally with a leading `*.` for subdomains. Empty allows any site.
+export const EMBED_ALLOWLIST = String(process.env.EMBED_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Also refuse player requests that carry no Referer or Origin at all
+const EMBED_STRICT = process.env.EMBED_STRICT === 'true';
+
+// Third-party assets the player and error pages load
+const PLYR_CDN = 'https://cdn.plyr.io';
+const JSDELIVR_CDN = 'https://cdn.jsdelivr.net';
+const VIDEOJS_CDN = 'https://vjs.zencdn.net';
+
+function matchesEntry(url, entry) {
+  if (entry.includes('://')) return url.origin === entry;
+  if (entry.startsWith('*.')) return url.hostname.endsWith(entry.slice(1));
+  return url.hostname === entry;
+}
+
+/**
+ * Whether a page at `value` (a Referer or Origin) may embed the player.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isAllowedEmbedder(value) {
+  if (!EMBED_ALLOWLIST.length) return true;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  return EMBED_ALLOWLIST.some(entry => matchesEntry(url, entry));
+}
+
+/**
+ * Helmet, a per-response CSP nonce in `res.locals.cspNonce` for the views'
+ * inline scripts, and `frame-ancestors` built from the embed allowlist.
+ * @returns {import('express').RequestHandler[]}
+ */
+export function securityHeaders() {
+  const nonce = (req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+  };
+
+  return [nonce, helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`, PLYR_CDN, JSDELIVR_CDN],
+        // Plyr sets inline styles on its controls
+        styleSrc: ["'self'", "'unsafe-inline'", PLYR_CDN, VIDEOJS_CDN],
+        // Plyr fetches its icon sprite and blank video; hls.js feeds the video through blob URLs
+        connectSrc: ["'self'", PLYR_CDN],
+        mediaSrc: ["'self'", 'blob:', PLYR_CDN],
+        imgSrc: ["'self'", 'data:', 'blob:', PLYR_CDN],
+        workerSrc: ["'self'", 'blob:'],
+        frameAncestors: EMBED_ALLOWLIST.length ? ["'self'", ...EMBED_ALLOWLIST] : ['*'],
+        // Would break plain-http deployments, where /proxy URLs are same-origin http
+        upgradeInsecureRequests: null,
+      },
+    },
+    // Embedding is governed by frame-ancestors, which X-Frame-Options cannot express
+    frameguard: false,
+    // API clients play /proxy and /subtitles URLs from their own origin
+    crossOriginResourcePolicy: { policy: 'cross-origin' },
+    // Same-origin navigations, such as the next episode under EMBED_STRICT,
+    // must still send a Referer; other sites never see one
+    referrerPolicy: { policy: 'same-origin' },
+  })];
+}
+
+/**
+ * Middleware refusing player requests whose Referer or Origin is not on
+ * the embed allowlist. Navigations within this site are always allowed.
+ * @param {Object} [options]
+ * @param {(res: import('express').Response, error: ApiError, req: import('express').Request) => void} options.onBlocked
+ */
+export function requireAllowedEmbedder({ onBlocked }) {
+  return (req, res, next) => {
+    if (!EMBED_ALLOWLIST.length) return next();
+
+    const embedder = req.get('Origin') || req.get('Referer');
+    if (!embedder) {
+      if (!EMBED_STRICT) return next();
+      return onBlocked(res, new ApiError(403, ErrorCodes.EMBED_BLOCKED, 'This player can only be opened from an allowed site'), req);
+    }
+
+    let host;
+    try {
+      host = new URL(embedder).host;
+    } catch (err) {
+      host = embedder;
+    }
+    if (host === req.get('host') || isAllowedEmbedder(embedder)) return next();
+
+    onBlocked(res, new ApiError(403, ErrorCodes.EMBED_BLOCKED, `This player cannot be embedded on ${host}`), req);
+  };
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { getRedisClient } from './redis.js';
+import logger from './logger.js';
+
+// Longest an extraction may hold the cross-instance lock
+const LOCK_TTL_MS = Number(process.env.LOCK_TTL_MS) || 30000;
+const POLL_INTERVAL_MS = 250;
+
+// Only delete the lock if this instance still owns it
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const inflight = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Deduplicate concurrent calls within this process: while `fn` runs for a
+ * key, every other caller for that key gets the same promise.
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export const singleFlight = (key, fn) => {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+};
+
+const release = async (redis, lockKey, token) => {
+  try {
+    await redis.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [token] });
+  } catch (err) {
+    logger.warn('Failed to release lock', { lockKey, error: err.message });
+  }
+};
+
+/**
+ * Run `fn` under a Redis lock shared by every instance. Instances that
+ * lose the race poll `readResult` until the winner publishes a value, and
+ * only run `fn` themselves if the lock is released (or expires) without
+ * one. Without Redis, `fn` simply runs.
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @param {() => Promise<T|null>} readResult - Look up the winner's result
+ * @returns {Promise<T>}
+ */
+export const withLock = async (key, fn, readResult) => {
+  const lockKey = `lock:${key}`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_TTL_MS;
+
+  while (Date.now() < deadline) {
+    const redis = getRedisClient();
+    if (!redis) return fn();
+
+    let acquired;
+    try {
+      acquired = await redis.set(lockKey, token, { NX: true, PX: LOCK_TTL_MS });
+    } catch (err) {
+      logger.warn('Failed to acquire lock, running unlocked', { lockKey, error: err.message });
+      return fn();
+    }
+
+    if (acquired === 'OK') {
+      try {
+        // The previous holder may have published just before releasing
+        const existing = await readResult();
+        if (existing !== null && existing !== undefined) return existing;
+        return await fn();
+      } finally {
+        await release(redis, lockKey, token);
+      }
+    }
+
+    // Another instance is extracting: wait for its result or its lock to go
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      const result = await readResult();
+      if (result !== null && result !== undefined) return result;
+      const holder = await redis.get(lockKey).catch(() => null);
+      if (!holder) break;
+    }
+  }
+
+  logger.warn('Timed out waiting for lock, running unlocked', { lockKey });
+  return fn();
+};
+
+/**
+ * Single-flight across this process and, through Redis, across instances.
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @param {() => Promise<T|null>} readResult
+ * @returns {Promise<T>}
+ */
+export const coalesce = (key, fn, readResult) =>
+  singleFlight(key, () => withLock(key, fn, readResult));
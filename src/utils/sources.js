@@ -0,0 +1,101 @@
+/**
+ * @typedef {import('./subtitles.js').Subtitle} Subtitle
+ */
+
+/**
+ * @typedef {Object} IntroOutro
+ * @property {number} start - Start of the range in seconds
+ * @property {number} end - End of the range in seconds
+ */
+
+/**
+ * @typedef {Object} AudioRendition
+ * @property {string} name
+ * @property {string|null} language
+ * @property {boolean} default
+ * @property {string|null} url - `null` when the audio is muxed into the variant
+ */
+
+/**
+ * The one source shape every provider returns from `getEpisodeSources`.
+ * @typedef {Object} Source
+ * @property {string} url - Absolute upstream URL
+ * @property {boolean} isM3U8 - Whether the URL is an HLS playlist
+ * @property {number|null} quality - Vertical resolution in pixels, or `null`
+ *   for adaptive master playlists and sources of unknown height
+ * @property {number|null} bandwidth - Peak bits per second from the master playlist
+ * @property {string|null} codecs - `CODECS` attribute from the master playlist
+ * @property {number|null} frameRate
+ * @property {boolean} audioOnly - Variant carries no video
+ * @property {AudioRendition[]} audio - Alternate audio renditions of the variant
+ * @property {Object<string, string>} headers - Headers the upstream requires
+ * @property {boolean} backup - Whether this is a mirror to use only on failure
+ * @property {Subtitle[]} subtitles - Subtitle tracks for the episode
+ * @property {IntroOutro|null} intro - Opening range, if known
+ * @property {IntroOutro|null} outro - Ending range, if known
+ */
+
+/**
+ * Normalize a provider's intro/outro timestamps. Providers report missing
+ * ranges as `{ start: 0, end: 0 }`, `{}` or not at all; all of those become
+ * `null` so the player only ever sees usable ranges.
+ * @param {Object} [range]
+ * @returns {IntroOutro|null}
+ */
+export function normalizeRange(range) {
+  if (!range) return null;
+  const start = Number(range.start);
+  const end = Number(range.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  if (start < 0 || end <= start) return null;
+  return { start, end };
+}
+
+/**
+ * Turn any quality label providers use ('720p', '720', 720, 'default',
+ * 'backup', 'auto', 'unknown') into a numeric height or `null`.
+ * @param {string|number|null} [quality]
+ * @returns {number|null}
+ */
+export function normalizeQuality(quality) {
+  if (typeof quality === 'number') return Number.isFinite(quality) && quality > 0 ? quality : null;
+  const match = String(quality ?? '').match(/(\d{3,4})/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Coerce a provider's raw source into the `Source` shape.
+ * @param {Object} source
+ * @returns {Source}
+ */
+export function normalizeSource(source) {
+  return {
+    url: source.url,
+    isM3U8: source.isM3U8 ?? source.url.includes('.m3u8'),
+    quality: normalizeQuality(source.quality),
+    bandwidth: Number(source.bandwidth) || null,
+    codecs: source.codecs || null,
+    frameRate: Number(source.frameRate) || null,
+    audioOnly: Boolean(source.audioOnly),
+    audio: source.audio || [],
+    headers: source.headers || {},
+    backup: Boolean(source.backup) || source.quality === 'backup',
+    subtitles: source.subtitles || [],
+    intro: normalizeRange(source.intro),
+    outro: normalizeRange(source.outro),
+  };
+}
+
+/**
+ * First usable range of a given kind across all sources of an episode.
+ * @param {Array<{ intro?: Object, outro?: Object }>} sources
+ * @param {'intro'|'outro'} kind
+ * @returns {IntroOutro|null}
+ */
+export function findRange(sources = [], kind) {
+  for (const source of sources) {
+    const range = normalizeRange(source[kind]);
+    if (range) return range;
+  }
+  return null;
+}
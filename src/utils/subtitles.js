@@ -0,0 +1,196 @@
+import { encodeHeaders, signTarget } from './proxy.js';
+
+export const SUBTITLES_PATH = '/subtitles';
+
+// Labels providers commonly use, mapped to the BCP 47 codes <track> expects
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  portuguese: 'pt',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  russian: 'ru',
+  arabic: 'ar',
+  japanese: 'ja',
+  korean: 'ko',
+  chinese: 'zh',
+  indonesian: 'id',
+  thai: 'th',
+  vietnamese: 'vi',
+  turkish: 'tr',
+  polish: 'pl',
+};
+
+/**
+ * @typedef {Object} Subtitle
+ * @property {string} url - Upstream subtitle URL (vtt, srt, ass or an HLS subtitle playlist)
+ * @property {string} lang - Human readable language label
+ * @property {Object<string, string>} [headers] - Headers the upstream requires
+ */
+
+/**
+ * Best-effort BCP 47 code for a subtitle label such as "English - Dub".
+ * @param {string} label
+ * @returns {string}
+ */
+export function languageCode(label = '') {
+  const word = label.toLowerCase().split(/[^a-z]+/).find(part => LANGUAGE_CODES[part]);
+  return word ? LANGUAGE_CODES[word] : label.toLowerCase().slice(0, 2) || 'und';
+}
+
+/**
+ * Build the first-party URL that serves a subtitle as WebVTT.
+ * @param {Subtitle} subtitle
+ * @param {string} [token] - Playback token, when signed playback is on
+ * @returns {string}
+ */
+export function subtitleUrl(subtitle, token) {
+  const params = new URLSearchParams({ url: subtitle.url });
+  const encoded = encodeHeaders(subtitle.headers);
+  if (encoded) params.set('h', encoded);
+  params.set('s', signTarget(subtitle.url, encoded));
+  if (token) params.set('token', token);
+  return `${SUBTITLES_PATH}?${params.toString()}`;
+}
+
+/**
+ * Merge subtitle tracks from every source of an episode, dropping duplicates
+ * and thumbnail sprite tracks.
+ * @param {Array<{ subtitles?: Subtitle[] }>} sources
+ * @returns {Subtitle[]}
+ */
+export function collectSubtitles(sources = []) {
+  const seen = new Map();
+  for (const source of sources) {
+    for (const subtitle of source.subtitles || []) {
+      if (!subtitle.url || /thumbnails/i.test(subtitle.lang)) continue;
+      if (!seen.has(subtitle.url)) seen.set(subtitle.url, subtitle);
+    }
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Map subtitles to the `<track>` attributes the player view renders.
+ * @param {Subtitle[]} subtitles
+ * @param {string} [token] - Playback token, when signed playback is on
+ * @returns {Array<{ label: string, srclang: string, src: string }>}
+ */
+export function toTracks(subtitles, token) {
+  return subtitles.map(subtitle => ({
+    label: subtitle.lang,
+    srclang: languageCode(subtitle.lang),
+    src: subtitleUrl(subtitle, token),
+  }));
+}
+
+/**
+ * Detect the format of a subtitle file from its contents.
+ * @param {string} text
+ * @returns {'vtt'|'ass'|'srt'}
+ */
+export function detectFormat(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (/^\[Script Info\]/i.test(head) || /^\[Events\]/im.test(text)) return 'ass';
+  return 'srt';
+}
+
+/**
+ * Convert SubRip to WebVTT.
+ * @param {string} text
+ * @returns {string}
+ */
+export function srtToVtt(text) {
+  const body = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+    .trim();
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function assTime(value) {
+  const [hours, minutes, rest] = value.trim().split(':');
+  const [seconds, centis = '0'] = rest.split('.');
+  return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')}.${centis.padEnd(3, '0').slice(0, 3)}`;
+}
+
+/**
+ * Convert Advanced SubStation Alpha (ASS/SSA) to WebVTT. Styling and
+ * override tags are dropped; only timing and text survive.
+ * @param {string} text
+ * @returns {string}
+ */
+export function assToVtt(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  let format = null;
+  let inEvents = false;
+  const cues = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (/^\[.+\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (trimmed.startsWith('Format:')) {
+      format = trimmed.slice('Format:'.length).split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+    if (!trimmed.startsWith('Dialogue:') || !format) continue;
+
+    const values = trimmed.slice('Dialogue:'.length).split(',');
+    // The text field is always last and may itself contain commas
+    const fields = values.slice(0, format.length - 1);
+    fields.push(values.slice(format.length - 1).join(','));
+    const event = Object.fromEntries(format.map((name, i) => [name, (fields[i] || '').trim()]));
+
+    const cueText = event.text
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    if (!cueText) continue;
+
+    cues.push({ start: assTime(event.start), end: assTime(event.end), text: cueText });
+  }
+
+  cues.sort((a, b) => a.start.localeCompare(b.start));
+  const body = cues.map(cue => `${cue.start} --> ${cue.end}\n${cue.text}`).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Convert any supported subtitle format to WebVTT.
+ * @param {string} text
+ * @returns {string}
+ */
+export function toVtt(text) {
+  switch (detectFormat(text)) {
+    case 'vtt':
+      return text.replace(/^\uFEFF/, '');
+    case 'ass':
+      return assToVtt(text);
+    default:
+      return srtToVtt(text);
+  }
+}
+
+/**
+ * Join the WebVTT segments of an HLS subtitle playlist into one file.
+ * @param {string[]} segments
+ * @returns {string}
+ */
+export function joinVttSegments(segments) {
+  const cues = segments.map(segment => {
+    const vtt = toVtt(segment).replace(/\r\n?/g, '\n');
+    // Drop each segment's header block (WEBVTT, X-TIMESTAMP-MAP, ...)
+    const start = vtt.indexOf('\n\n');
+    return start === -1 ? '' : vtt.slice(start + 2).trim();
+  });
+  return `WEBVTT\n\n${cues.filter(Boolean).join('\n\n')}\n`;
+}
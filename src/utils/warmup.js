@@ -0,0 +1,124 @@
+import logger from './logger.js';
+import { TTL } from './cache.js';
+import { getRedisClient } from './redis.js';
+import { servers } from './providers.js';
+import { getEpisode, getSourcesMap } from './resolver.js';
+import { forEachLimit } from './concurrency.js';
+
+// Show slugs to keep warm, e.g. `one-piece,one-piece-dub`
+const SHOWS = String(process.env.WARMUP_SHOWS || '')
+  .split(',')
+  .map(slug => slug.trim())
+  .filter(Boolean);
+// Latest episodes of each show to warm
+const EPISODES_PER_SHOW = Number(process.env.WARMUP_EPISODES) || 1;
+// Servers whose player entries are warmed; defaults to every registered one
+const WARMUP_SERVERS = String(process.env.WARMUP_SERVERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+// Runs before either warmed entry goes stale, by default at 80% of the
+// shorter of the player's and /sources' TTLs
+const INTERVAL_MS = Number(process.env.WARMUP_INTERVAL_MS)
+  || Math.floor(Math.min(TTL.sources, TTL.sourcesMap) * 0.8) * 1000;
+// Episodes extracted at once; each one fans out to every server
+const CONCURRENCY = Number(process.env.WARMUP_CONCURRENCY) || 2;
+// Gives the providers time to register before the first run
+const FIRST_RUN_DELAY_MS = 5000;
+
+const LOCK_KEY = 'warmup:lock';
+
+let timer = null;
+
+// Only one instance warms per interval; without Redis every instance does
+async function acquireRun() {
+  const redis = getRedisClient();
+  if (!redis) return true;
+  try {
+    return Boolean(await redis.set(LOCK_KEY, String(process.pid), { NX: true, PX: Math.floor(INTERVAL_MS * 0.9) }));
+  } catch (err) {
+    logger.warn('Failed to take the warm-up lock, warming anyway', { error: err.message });
+    return true;
+  }
+}
+
+/**
+ * Episode ids to warm: the latest `WARMUP_EPISODES` of each show.
+ * @returns {Promise<string[]>}
+ */
+async function warmupEpisodes() {
+  const gogocdn = servers.gogocdn;
+  if (!gogocdn) {
+    logger.warn('Cache warm-up needs the gogocdn server to find the latest episodes');
+    return [];
+  }
+
+  const episodes = [];
+  await forEachLimit(SHOWS, CONCURRENCY, async slug => {
+    try {
+      const latest = await gogocdn.getLatestEpisode(slug);
+      for (let number = latest; number > Math.max(0, latest - EPISODES_PER_SHOW); number--) {
+        episodes.push(`${slug}-episode-${number}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to find the latest episode', { show: slug, error: error.message });
+    }
+  });
+  return episodes;
+}
+
+/**
+ * Re-extract the configured shows' latest episodes into the cache, for the
+ * player (one entry per server) and for `/sources`.
+ * @returns {Promise<{ episodes: number, warmed: number, failed: number }>}
+ */
+export async function runWarmup() {
+  const startedAt = Date.now();
+  const episodes = await warmupEpisodes();
+  const targets = WARMUP_SERVERS.length
+    ? WARMUP_SERVERS.filter(name => servers[name])
+    : Object.keys(servers);
+  let warmed = 0;
+  let failed = 0;
+
+  await forEachLimit(episodes, CONCURRENCY, async episodeId => {
+    const results = await Promise.allSettled([
+      getSourcesMap(episodeId, { force: true }),
+      ...targets.map(server => getEpisode(server, episodeId, undefined, { force: true })),
+    ]);
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length) {
+      failed += 1;
+      logger.warn('Cache warm-up incomplete', { episodeId, errors: failures.map(result => result.reason.message) });
+    } else {
+      warmed += 1;
+    }
+  });
+
+  const summary = { episodes: episodes.length, warmed, failed };
+  logger.info('Cache warm-up finished', { ...summary, ms: Date.now() - startedAt });
+  return summary;
+}
+
+function schedule(delay) {
+  timer = setTimeout(async () => {
+    try {
+      if (await acquireRun()) await runWarmup();
+    } catch (error) {
+      logger.error('Cache warm-up failed', { error: error.message });
+    }
+    schedule(INTERVAL_MS);
+  }, delay);
+  // Never keeps the process alive on its own
+  timer.unref();
+}
+
+/**
+ * Start warming the cache every `WARMUP_INTERVAL_MS` for the shows in
+ * `WARMUP_SHOWS`. Does nothing when no shows are configured.
+ */
+export function startWarmup() {
+  if (!SHOWS.length || timer) return;
+  logger.info('Scheduled cache warm-up', { shows: SHOWS, episodesPerShow: EPISODES_PER_SHOW, intervalMs: INTERVAL_MS });
+  schedule(FIRST_RUN_DELAY_MS);
+}